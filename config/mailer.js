@@ -1,5 +1,7 @@
 const nodemailer = require('nodemailer');
 const QRCode = require('qrcode');
+const { generateTicketPdf } = require('../utils/ticketPdf');
+const { generateWalletPass } = require('../utils/walletPass');
 
 const transporter = nodemailer.createTransport({
     service: 'gmail',
@@ -10,10 +12,11 @@ const transporter = nodemailer.createTransport({
 });
 
 /**
- * Send a registration ticket email with an embedded QR code.
+ * Send a registration ticket email with an embedded QR code, a PDF ticket and a wallet pass.
+ * receipt ({ filename, content }) attaches a payment receipt PDF.
  * Silently fails so it never blocks the registration flow.
  */
-async function sendTicketEmail({ to, participantName, eventTitle, eventDate, venue, ticketId, qrPayload }) {
+async function sendTicketEmail({ to, participantName, eventTitle, eventDate, venue, ticketId, qrPayload, organizerName, receipt }) {
     try {
         if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
             console.log('Email not configured – skipping ticket email');
@@ -24,6 +27,20 @@ async function sendTicketEmail({ to, participantName, eventTitle, eventDate, ven
         const qrDataUrl = await QRCode.toDataURL(qrPayload, { width: 250, margin: 2 });
         const qrBase64 = qrDataUrl.replace(/^data:image\/png;base64,/, '');
 
+        // The QR code above is enough to get in, so the ticket files are best-effort
+        const ticket = { participantName, eventTitle, eventDate, venue, ticketId, qrPayload, organizerName };
+        const ticketFiles = [];
+        try {
+            ticketFiles.push({ filename: `ticket-${ticketId}.pdf`, content: await generateTicketPdf(ticket), contentType: 'application/pdf' });
+        } catch (error) {
+            console.error('Failed to generate PDF ticket:', error.message);
+        }
+        try {
+            ticketFiles.push({ filename: `ticket-${ticketId}.pkpass`, content: generateWalletPass(ticket), contentType: 'application/vnd.apple.pkpass' });
+        } catch (error) {
+            console.error('Failed to generate wallet pass:', error.message);
+        }
+
         const formattedDate = eventDate
             ? new Date(eventDate).toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' })
             : 'TBA';
@@ -70,6 +87,16 @@ async function sendTicketEmail({ to, participantName, eventTitle, eventDate, ven
                             <img src="cid:ticket-qr" alt="Ticket QR Code" style="width: 200px; height: 200px;" />
                         </div>
 
+                        ${ticketFiles.length > 0 ? `
+                        <p style="color: #6b7280; font-size: 13px; text-align: center; margin: 0 0 12px;">
+                            Your ticket is attached as a printable PDF${ticketFiles.length > 1 ? ' and a wallet pass (.pkpass)' : ''}.
+                        </p>` : ''}
+
+                        ${receipt ? `
+                        <p style="color: #6b7280; font-size: 13px; text-align: center; margin: 0 0 12px;">
+                            Your payment receipt is attached to this email.
+                        </p>` : ''}
+
                         <p style="color: #9ca3af; font-size: 12px; text-align: center; margin: 0;">
                             This ticket is also available in your Participation History on the Felicity platform.
                         </p>
@@ -88,6 +115,12 @@ async function sendTicketEmail({ to, participantName, eventTitle, eventDate, ven
                     encoding: 'base64',
                     cid: 'ticket-qr',
                 },
+                ...ticketFiles,
+                ...(receipt ? [{
+                    filename: receipt.filename,
+                    content: receipt.content,
+                    contentType: 'application/pdf',
+                }] : []),
             ],
         };
 
@@ -99,4 +132,197 @@ async function sendTicketEmail({ to, participantName, eventTitle, eventDate, ven
     }
 }
 
-module.exports = { sendTicketEmail };
+/**
+ * Send a reminder about an upcoming event or a payment that is due.
+ * Resolves to true when the email was handed to the mail server; never throws.
+ */
+async function sendReminderEmail({ to, participantName, subject, heading, message, eventTitle, eventDate, venue, link }) {
+    try {
+        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+            console.log('Email not configured – skipping reminder email');
+            return false;
+        }
+
+        const formattedDate = eventDate
+            ? new Date(eventDate).toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' })
+            : 'TBA';
+
+        await transporter.sendMail({
+            from: `"Felicity Events" <${process.env.EMAIL_USER}>`,
+            to,
+            subject,
+            html: `
+                <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 520px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+                    <div style="background: linear-gradient(135deg, #6366f1, #a855f7); padding: 24px; text-align: center;">
+                        <h1 style="color: #fff; margin: 0; font-size: 20px;">${heading}</h1>
+                    </div>
+
+                    <div style="padding: 24px;">
+                        <p style="color: #374151; font-size: 15px; margin: 0 0 16px;">
+                            Hi <strong>${participantName || 'there'}</strong>,
+                        </p>
+                        <p style="color: #374151; font-size: 14px; margin: 0 0 18px;">${message}</p>
+
+                        <table style="width: 100%; border-collapse: collapse; margin-bottom: 18px;">
+                            <tr>
+                                <td style="padding: 8px 0; color: #6b7280; font-size: 13px; width: 110px;">Event</td>
+                                <td style="padding: 8px 0; color: #111827; font-size: 14px; font-weight: 600;">${eventTitle}</td>
+                            </tr>
+                            <tr>
+                                <td style="padding: 8px 0; color: #6b7280; font-size: 13px;">Date</td>
+                                <td style="padding: 8px 0; color: #111827; font-size: 14px;">${formattedDate}</td>
+                            </tr>
+                            <tr>
+                                <td style="padding: 8px 0; color: #6b7280; font-size: 13px;">Venue</td>
+                                <td style="padding: 8px 0; color: #111827; font-size: 14px;">${venue || 'TBA'}</td>
+                            </tr>
+                        </table>
+
+                        ${link ? `
+                        <div style="text-align: center;">
+                            <a href="${link}" style="display: inline-block; background: #6366f1; color: #fff; text-decoration: none; padding: 10px 20px; border-radius: 8px; font-size: 14px;">Open Felicity</a>
+                        </div>` : ''}
+                    </div>
+
+                    <div style="background: #f3f4f6; padding: 14px 24px; text-align: center;">
+                        <p style="color: #9ca3af; font-size: 11px; margin: 0;">Felicity — Event Management Platform</p>
+                    </div>
+                </div>
+            `,
+        });
+        console.log(`Reminder email sent to ${to} for event "${eventTitle}"`);
+        return true;
+    } catch (error) {
+        console.error('Failed to send reminder email:', error.message);
+        return false;
+    }
+}
+
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * Send an organizer's broadcast message. The message is plain text written by the
+ * organizer, so it is escaped and its line breaks kept.
+ * Resolves to true when the email was handed to the mail server; never throws.
+ */
+async function sendBroadcastEmail({ to, participantName, subject, message, eventTitle, organizerName, link }) {
+    try {
+        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+            console.log('Email not configured – skipping broadcast email');
+            return false;
+        }
+
+        await transporter.sendMail({
+            from: `"${(organizerName || 'Felicity Events').replace(/"/g, '')} via Felicity" <${process.env.EMAIL_USER}>`,
+            to,
+            subject: `[${eventTitle}] ${subject}`,
+            text: `Hi ${participantName || 'there'},\n\n${message}\n\n— ${organizerName || 'The organizers'}, ${eventTitle}`,
+            html: `
+                <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 520px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+                    <div style="background: linear-gradient(135deg, #6366f1, #a855f7); padding: 24px; text-align: center;">
+                        <h1 style="color: #fff; margin: 0; font-size: 20px;">${escapeHtml(subject)}</h1>
+                        <p style="color: #e0e7ff; margin: 6px 0 0; font-size: 13px;">${escapeHtml(eventTitle)}</p>
+                    </div>
+
+                    <div style="padding: 24px;">
+                        <p style="color: #374151; font-size: 15px; margin: 0 0 16px;">
+                            Hi <strong>${escapeHtml(participantName || 'there')}</strong>,
+                        </p>
+                        <p style="color: #374151; font-size: 14px; margin: 0 0 18px; white-space: pre-line;">${escapeHtml(message)}</p>
+                        <p style="color: #6b7280; font-size: 13px; margin: 0 0 18px;">— ${escapeHtml(organizerName || 'The organizers')}</p>
+
+                        ${link ? `
+                        <div style="text-align: center;">
+                            <a href="${link}" style="display: inline-block; background: #6366f1; color: #fff; text-decoration: none; padding: 10px 20px; border-radius: 8px; font-size: 14px;">View Event</a>
+                        </div>` : ''}
+                    </div>
+
+                    <div style="background: #f3f4f6; padding: 14px 24px; text-align: center;">
+                        <p style="color: #9ca3af; font-size: 11px; margin: 0;">You are receiving this because you registered for ${escapeHtml(eventTitle)} on Felicity.</p>
+                    </div>
+                </div>
+            `,
+        });
+        return true;
+    } catch (error) {
+        console.error('Failed to send broadcast email:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Tell a registrant their event was cancelled or an important detail (date, venue) changed.
+ * changes is a list of "Field: old → new" lines. Silently fails like sendTicketEmail.
+ */
+async function sendEventUpdateEmail({ to, participantName, subject, heading, message, changes = [], eventTitle, eventDate, venue, link }) {
+    try {
+        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+            console.log('Email not configured – skipping event update email');
+            return;
+        }
+
+        const formattedDate = eventDate
+            ? new Date(eventDate).toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' })
+            : 'TBA';
+
+        await transporter.sendMail({
+            from: `"Felicity Events" <${process.env.EMAIL_USER}>`,
+            to,
+            subject,
+            html: `
+                <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 520px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+                    <div style="background: linear-gradient(135deg, #f59e0b, #ef4444); padding: 24px; text-align: center;">
+                        <h1 style="color: #fff; margin: 0; font-size: 20px;">${escapeHtml(heading)}</h1>
+                    </div>
+
+                    <div style="padding: 24px;">
+                        <p style="color: #374151; font-size: 15px; margin: 0 0 16px;">
+                            Hi <strong>${escapeHtml(participantName || 'there')}</strong>,
+                        </p>
+                        <p style="color: #374151; font-size: 14px; margin: 0 0 18px;">${escapeHtml(message)}</p>
+
+                        ${changes.length > 0 ? `
+                        <p style="color: #6b7280; font-size: 13px; margin: 0 0 8px;">What changed:</p>
+                        <ul style="color: #111827; font-size: 14px; margin: 0 0 18px; padding-left: 20px;">
+                            ${changes.map(line => `<li style="margin-bottom: 6px;">${escapeHtml(line)}</li>`).join('')}
+                        </ul>` : ''}
+
+                        <table style="width: 100%; border-collapse: collapse; margin-bottom: 18px;">
+                            <tr>
+                                <td style="padding: 8px 0; color: #6b7280; font-size: 13px; width: 110px;">Event</td>
+                                <td style="padding: 8px 0; color: #111827; font-size: 14px; font-weight: 600;">${escapeHtml(eventTitle)}</td>
+                            </tr>
+                            <tr>
+                                <td style="padding: 8px 0; color: #6b7280; font-size: 13px;">Date</td>
+                                <td style="padding: 8px 0; color: #111827; font-size: 14px;">${formattedDate}</td>
+                            </tr>
+                            <tr>
+                                <td style="padding: 8px 0; color: #6b7280; font-size: 13px;">Venue</td>
+                                <td style="padding: 8px 0; color: #111827; font-size: 14px;">${escapeHtml(venue || 'TBA')}</td>
+                            </tr>
+                        </table>
+
+                        ${link ? `
+                        <div style="text-align: center;">
+                            <a href="${link}" style="display: inline-block; background: #6366f1; color: #fff; text-decoration: none; padding: 10px 20px; border-radius: 8px; font-size: 14px;">View Event</a>
+                        </div>` : ''}
+                    </div>
+
+                    <div style="background: #f3f4f6; padding: 14px 24px; text-align: center;">
+                        <p style="color: #9ca3af; font-size: 11px; margin: 0;">Felicity — Event Management Platform</p>
+                    </div>
+                </div>
+            `,
+        });
+        console.log(`Event update email sent to ${to} for event "${eventTitle}"`);
+    } catch (error) {
+        console.error('Failed to send event update email:', error.message);
+    }
+}
+
+module.exports = { sendTicketEmail, sendReminderEmail, sendBroadcastEmail, sendEventUpdateEmail };
@@ -35,4 +35,59 @@ const uploadPaymentProof = multer({
     fileFilter: fileFilter
 });
 
-module.exports = { uploadPaymentProof };
+// Storage configuration for files attached to registration form answers
+const formFileStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, path.join(__dirname, '../uploads/forms/'));
+    },
+    filename: function (req, file, cb) {
+        // The uploader's ID in the name lets form validation accept only their own files
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'form-' + req.user.id + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+});
+
+// File filter - images and PDFs
+const formFileFilter = (req, file, cb) => {
+    const allowedExtensions = /jpeg|jpg|png|gif|pdf/;
+    const allowedMimeTypes = /image\/(jpeg|jpg|png|gif)|application\/pdf/;
+    const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedMimeTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only image (jpeg, jpg, png, gif) and PDF files are allowed!'));
+    }
+};
+
+// Multer upload configuration for form file fields
+const uploadFormFile = multer({
+    storage: formFileStorage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max file size
+    },
+    fileFilter: formFileFilter
+});
+
+// Storage configuration for merchandise item images
+const merchImageStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, path.join(__dirname, '../uploads/merch/'));
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'merch-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+});
+
+// Multer upload configuration for merchandise images (images only)
+const uploadMerchImage = multer({
+    storage: merchImageStorage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max file size
+    },
+    fileFilter: fileFilter
+});
+
+module.exports = { uploadPaymentProof, uploadFormFile, uploadMerchImage };
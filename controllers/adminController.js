@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Event = require('../models/Event');
 const Registration = require('../models/Registration');
 const bcrypt = require('bcryptjs');
+const { logAdminAction } = require('./auditController');
 
 exports.createOrganizer = async (req, res) => {
     try {
@@ -40,6 +41,12 @@ exports.createOrganizer = async (req, res) => {
             name: organizer.organizerProfile?.name
         });
 
+        await logAdminAction(req, {
+            action: 'ORGANIZER_CREATE',
+            target: organizer,
+            summary: { email, name, category, contactEmail, contactNumber },
+        });
+
         res.status(201).json({ message: 'Organizer account created successfully', organizer });
     } catch (error) {
         console.error('Error in createOrganizer:', error);
@@ -58,10 +65,16 @@ exports.removeOrganizer = async (req, res) => {
 
         if (permanent === 'true') {
             await User.findByIdAndDelete(id);
+            await logAdminAction(req, {
+                action: 'ORGANIZER_DELETE',
+                target: organizer,
+                summary: { permanent: true, events: await Event.countDocuments({ organizerId: id }) },
+            });
             return res.json({ message: 'Organizer deleted permanently' });
         } else {
             organizer.isActive = false;
             await organizer.save();
+            await logAdminAction(req, { action: 'ORGANIZER_DEACTIVATE', target: organizer, summary: { permanent: false } });
             return res.json({ message: 'Organizer deactivated successfully' });
         }
     
@@ -121,6 +134,9 @@ exports.resetOrganizerPassword = async (req, res) => {
         organizer.password = hashedPassword;
         await organizer.save();
 
+        // The new password itself is never logged
+        await logAdminAction(req, { action: 'ORGANIZER_PASSWORD_RESET', target: organizer });
+
         res.status(200).json({ message: 'Password reset successfully' });
 
     } catch (error) {
@@ -146,17 +162,15 @@ exports.approveOrganizer = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const organizer = await User.findByIdAndUpdate(
-            id, 
-            { 
-                isVerified: true
-            }, 
-            { new: true }
-        ); // new : return updated doc
-
+        const organizer = await User.findById(id);
         if (!organizer || organizer.role !== 'organizer')
             return res.status(404).json({ message: 'Organizer not found' });
 
+        organizer.isVerified = true;
+        await organizer.save();
+
+        await logAdminAction(req, { action: 'ORGANIZER_APPROVE', target: organizer });
+
         res.status(200).json({ message: 'Organizer approved successfully', organizer });
      } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -167,11 +181,15 @@ exports.rejectOrganizer = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const organizer = await User.findByIdAndDelete(id);
-
+        // Check the role before deleting so this can't remove other kinds of accounts
+        const organizer = await User.findById(id);
         if (!organizer || organizer.role !== 'organizer')
             return res.status(404).json({ message: 'Organizer not found' });
 
+        await User.findByIdAndDelete(id);
+
+        await logAdminAction(req, { action: 'ORGANIZER_REJECT', target: organizer, summary: { category: organizer.organizerProfile?.category } });
+
         res.status(200).json({ message: 'Organizer rejected and deleted successfully' });
      } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -216,6 +234,8 @@ exports.reactivateOrganizer = async (req, res) => {
         organizer.isActive = true;
         await organizer.save();
 
+        await logAdminAction(req, { action: 'ORGANIZER_REACTIVATE', target: organizer });
+
         res.status(200).json({ message: 'Organizer reactivated successfully' });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Event = require('../models/Event');
+const { parseDateRange } = require('../utils/finance');
+const { escapeCsv } = require('../utils/csv');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 50000;
+
+const ACTOR_FIELDS = 'email role organizerProfile.name participantProfile.firstname participantProfile.lastname';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "email=a@b.c; permanent=true" from the parts of a request worth keeping (never passwords)
+const summarize = (payload = {}) =>
+    Object.entries(payload)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}=${value}`)
+        .join('; ');
+
+/**
+ * Record a privileged admin operation on a user account: who did it, from which IP,
+ * to whom, and a summary of the request. Never throws, like createNotification.
+ */
+const logAdminAction = async (req, { action, target, summary }) => {
+    try {
+        const name = target.organizerProfile?.name;
+        return await AuditLog.create({
+            entityType: 'User',
+            entityId: target._id,
+            action,
+            targetLabel: name ? `${name} <${target.email}>` : target.email,
+            summary: summarize(summary),
+            actorId: req.user.id,
+            actorRole: req.user.role,
+            ip: req.ip,
+        });
+    } catch (error) {
+        console.error(`Failed to record admin action ${action}:`, error.message);
+        return null;
+    }
+};
+exports.logAdminAction = logAdminAction;
+
+/**
+ * Turn audit search parameters into a Mongo filter.
+ * entityType, entityId, action, actorId, actorRole, ip, field (matches nested fields too, e.g. "order"),
+ * q (text in the target or summary) and from/to.
+ * Returns { filter } or { error }.
+ */
+const buildAuditFilter = (query) => {
+    const filter = {};
+
+    for (const key of ['entityId', 'actorId', 'eventId']) {
+        if (!query[key]) continue;
+        if (!mongoose.Types.ObjectId.isValid(query[key]))
+            return { error: `Invalid ${key}` };
+        filter[key] = query[key];
+    }
+
+    if (query.entityType) filter.entityType = query.entityType;
+    if (query.action) filter.action = query.action;
+    if (query.actorRole) filter.actorRole = query.actorRole;
+    if (query.ip) filter.ip = query.ip;
+
+    if (query.q) {
+        const text = new RegExp(escapeRegex(String(query.q)), 'i');
+        filter.$or = [{ targetLabel: text }, { summary: text }];
+    }
+
+    if (query.field)
+        filter['changes.field'] = new RegExp(`^${escapeRegex(String(query.field))}(\\.|$)`);
+
+    const { range, error } = parseDateRange(query);
+    if (error)
+        return { error };
+    if (range.from || range.to) {
+        filter.createdAt = {};
+        if (range.from) filter.createdAt.$gte = range.from;
+        if (range.to) filter.createdAt.$lte = range.to;
+    }
+
+    return { filter };
+};
+
+// One page of audit entries, newest first
+const findAuditLogs = async (filter, { page, limit }) => {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+                .populate('actorId', ACTOR_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+        AuditLog.countDocuments(filter),
+    ]);
+
+    return { logs, total, page: pageNumber, pages: Math.ceil(total / pageSize) };
+};
+
+// Organizer: who changed what on one of their events and its registrations
+exports.getEventAuditLog = async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const { filter, error } = buildAuditFilter({ ...req.query, eventId: undefined });
+        if (error)
+            return res.status(400).json({ message: error });
+
+        res.status(200).json(await findAuditLogs({ ...filter, eventId: event._id }, req.query));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Admin: audit entries across the platform, filtered by event, entity, actor, IP, field, text or date.
+// ?actorRole=admin lists privileged operations only.
+exports.getAuditLog = async (req, res) => {
+    try {
+        const { filter, error } = buildAuditFilter(req.query);
+        if (error)
+            return res.status(400).json({ message: error });
+
+        res.status(200).json(await findAuditLogs(filter, req.query));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+const EXPORT_COLUMNS = [
+    ['time', 'Time'], ['action', 'Action'], ['entityType', 'Entity'], ['entityId', 'Entity ID'],
+    ['target', 'Target'], ['eventId', 'Event ID'], ['actor', 'Actor'], ['actorRole', 'Actor Role'],
+    ['ip', 'IP'], ['summary', 'Summary'], ['changes', 'Changes'],
+];
+
+const formatChangeValue = (value) => value === null || value === undefined ? '-' : String(value);
+
+const toExportRow = (log) => ({
+    time: log.createdAt.toISOString(),
+    action: log.action,
+    entityType: log.entityType,
+    entityId: log.entityId,
+    target: log.targetLabel || '',
+    eventId: log.eventId || '',
+    actor: log.actorId?.email || (log.actorRole === 'system' ? 'system' : ''),
+    actorRole: log.actorRole,
+    ip: log.ip || '',
+    summary: log.summary || '',
+    changes: (log.changes || []).map(c => `${c.field}: ${formatChangeValue(c.from)} -> ${formatChangeValue(c.to)}`).join('; '),
+});
+
+// Admin: the filtered audit log as CSV, oldest first, for sharing outside the platform
+exports.exportAuditLog = async (req, res) => {
+    try {
+        const { filter, error } = buildAuditFilter(req.query);
+        if (error)
+            return res.status(400).json({ message: error });
+
+        const total = await AuditLog.countDocuments(filter);
+        if (total > MAX_EXPORT_ROWS)
+            return res.status(400).json({ message: `${total} entries match. Narrow the filters to at most ${MAX_EXPORT_ROWS} for export.` });
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="audit_log_${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(EXPORT_COLUMNS.map(([, title]) => escapeCsv(title)).join(',') + '\n');
+
+        // Streamed so a large export doesn't sit in memory
+        const cursor = AuditLog.find(filter).populate('actorId', ACTOR_FIELDS).sort({ createdAt: 1 }).cursor();
+        for await (const log of cursor) {
+            const row = toExportRow(log);
+            res.write(EXPORT_COLUMNS.map(([key]) => escapeCsv(row[key])).join(',') + '\n');
+        }
+        res.end();
+    } catch (error) {
+        if (res.headersSent)
+            return res.end();
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Broadcast = require('../models/Broadcast');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { createNotification } = require('./notificationController');
+const { sendBroadcastEmail } = require('../config/mailer');
+const { postToDiscord } = require('../utils/discord');
+
+const MAX_SUBJECT_LENGTH = 150;
+const MAX_MESSAGE_LENGTH = 4000; // Discord embeds cut off past 4096 characters
+const REGISTRATION_STATUSES = ['PENDING', 'CONFIRMED', 'REJECTED', 'CANCELLED', 'WAITLISTED'];
+const DEFAULT_STATUSES = ['CONFIRMED', 'PENDING'];
+const PREVIEW_LIMIT = 20;
+
+const participantName = (user) =>
+    `${user?.participantProfile?.firstname || ''} ${user?.participantProfile?.lastname || ''}`.trim() || user?.email;
+
+const eventLink = (event) =>
+    process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/events/${event._id}` : null;
+
+/**
+ * Load the event from req.params.id and check the organizer owns it.
+ * Resolves to { event } or { status, error }.
+ */
+const loadOwnEvent = async (req) => {
+    const event = await Event.findById(req.params.id);
+    if (!event)
+        return { status: 404, error: 'Event not found' };
+
+    if (event.organizerId.toString() !== req.user.id)
+        return { status: 403, error: 'Forbidden: You are not the organizer of this event' };
+
+    return { event };
+};
+
+/**
+ * Validate the audience filters from a request body. Registrants can be narrowed by
+ * registration status (default: confirmed and pending), attendance, team and merch SKU.
+ * Resolves to { filters } or { error }.
+ */
+const parseFilters = async (event, body = {}) => {
+    const filters = {};
+
+    const statuses = body.statuses ?? DEFAULT_STATUSES;
+    if (!Array.isArray(statuses) || statuses.length === 0 || statuses.some(s => !REGISTRATION_STATUSES.includes(s)))
+        return { error: `statuses must be a non-empty list of: ${REGISTRATION_STATUSES.join(', ')}` };
+    filters.statuses = [...new Set(statuses)];
+
+    if (body.attended !== undefined && body.attended !== null) {
+        if (typeof body.attended !== 'boolean')
+            return { error: 'attended must be true or false' };
+        filters.attended = body.attended;
+    }
+
+    if (body.teamId) {
+        if (!mongoose.Types.ObjectId.isValid(body.teamId))
+            return { error: 'Invalid teamId' };
+        const team = await Team.findOne({ _id: body.teamId, eventId: event._id });
+        if (!team)
+            return { error: 'Team not found for this event' };
+        filters.teamId = team._id;
+    }
+
+    if (body.sku) {
+        if (typeof body.sku !== 'string')
+            return { error: 'sku must be a string' };
+        if (event.type !== 'MERCH')
+            return { error: 'sku can only be used for merchandise events' };
+        filters.sku = body.sku;
+    }
+
+    return { filters };
+};
+
+// Registrants matching the filters, one entry per participant
+const findRecipients = async (event, filters) => {
+    const query = { eventId: event._id, status: { $in: filters.statuses } };
+    if (filters.attended !== undefined)
+        query.attended = filters.attended ? true : { $ne: true };
+    if (filters.teamId)
+        query.teamId = filters.teamId;
+    if (filters.sku)
+        query.$or = [{ 'order.sku': filters.sku }, { 'order.items.sku': filters.sku }];
+
+    const registrations = await Registration.find(query)
+                                    .populate('participantId', 'email participantProfile isActive')
+                                    .sort({ createdAt: 1 });
+
+    const recipients = new Map();
+    for (const registration of registrations) {
+        const participant = registration.participantId;
+        if (!participant || participant.isActive === false)
+            continue;
+        if (!recipients.has(participant._id.toString()))
+            recipients.set(participant._id.toString(), { participant, registration });
+    }
+    return [...recipients.values()];
+};
+
+// Email every recipient one after another and record the counts when done
+const deliverEmails = async (broadcast, recipients, { event, organizerName }) => {
+    let sent = 0;
+    let failed = 0;
+    for (const { participant } of recipients) {
+        const ok = await sendBroadcastEmail({
+            to: participant.email,
+            participantName: participantName(participant),
+            subject: broadcast.subject,
+            message: broadcast.message,
+            eventTitle: event.title,
+            organizerName,
+            link: eventLink(event),
+        });
+        if (ok) sent++;
+        else failed++;
+    }
+
+    await Broadcast.updateOne(
+        { _id: broadcast._id },
+        { $set: { emailsSent: sent, emailsFailed: failed, status: 'SENT', completedAt: new Date() } }
+    );
+};
+
+// Organizer: how many registrants (and which) a set of filters would reach
+exports.previewBroadcast = async (req, res) => {
+    try {
+        const { event, status, error } = await loadOwnEvent(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const { filters, error: filterError } = await parseFilters(event, req.body.filters);
+        if (filterError)
+            return res.status(400).json({ message: filterError });
+
+        const recipients = await findRecipients(event, filters);
+
+        res.status(200).json({
+            filters,
+            recipientCount: recipients.length,
+            recipients: recipients.slice(0, PREVIEW_LIMIT).map(({ participant, registration }) => ({
+                participantId: participant._id,
+                name: participantName(participant),
+                email: participant.email,
+                status: registration.status,
+                attended: registration.attended,
+            })),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: send a message to the event's registrants by notification, email and/or the club's Discord webhook
+exports.sendBroadcast = async (req, res) => {
+    try {
+        const { subject, message, channels = {} } = req.body;
+
+        if (!subject || typeof subject !== 'string' || !subject.trim())
+            return res.status(400).json({ message: 'Subject is required' });
+        if (subject.trim().length > MAX_SUBJECT_LENGTH)
+            return res.status(400).json({ message: `Subject must be at most ${MAX_SUBJECT_LENGTH} characters` });
+        if (!message || typeof message !== 'string' || !message.trim())
+            return res.status(400).json({ message: 'Message is required' });
+        if (message.length > MAX_MESSAGE_LENGTH)
+            return res.status(400).json({ message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` });
+
+        const useChannels = {
+            notification: channels.notification !== false,
+            email: channels.email === true,
+            discord: channels.discord === true,
+        };
+        if (!useChannels.notification && !useChannels.email && !useChannels.discord)
+            return res.status(400).json({ message: 'Choose at least one delivery channel' });
+
+        const { event, status, error } = await loadOwnEvent(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const { filters, error: filterError } = await parseFilters(event, req.body.filters);
+        if (filterError)
+            return res.status(400).json({ message: filterError });
+
+        const organizer = await User.findById(req.user.id);
+        const webhookUrl = organizer?.organizerProfile?.discordWebhook;
+        if (useChannels.discord && !webhookUrl)
+            return res.status(400).json({ message: 'Add a Discord webhook to your profile to broadcast on Discord' });
+
+        const recipients = await findRecipients(event, filters);
+        if (recipients.length === 0 && !useChannels.discord)
+            return res.status(400).json({ message: 'No registrants match these filters' });
+
+        const broadcast = await Broadcast.create({
+            eventId: event._id,
+            organizerId: req.user.id,
+            subject: subject.trim(),
+            message,
+            filters,
+            channels: useChannels,
+            recipientCount: recipients.length,
+        });
+
+        if (useChannels.notification) {
+            const preview = message.length > 100 ? `${message.substring(0, 100)}...` : message;
+            for (const { participant } of recipients) {
+                const notification = await createNotification({
+                    userId: participant._id,
+                    type: 'ANNOUNCEMENT',
+                    title: `${event.title}: ${broadcast.subject}`,
+                    message: preview,
+                    eventId: event._id,
+                    link: `/events/${event._id}`,
+                });
+                if (notification)
+                    broadcast.notificationsSent++;
+            }
+        }
+
+        if (useChannels.discord) {
+            try {
+                const { ok, status: discordStatus } = await postToDiscord(webhookUrl, {
+                    embeds: [{
+                        title: `📢 ${broadcast.subject}`,
+                        description: message,
+                        color: 0x5865F2,
+                        fields: [{ name: 'Event', value: event.title }],
+                        footer: { text: `Posted by ${organizer.organizerProfile.name}` },
+                        timestamp: new Date().toISOString(),
+                    }],
+                });
+                broadcast.discordStatus = ok ? 'SENT' : 'FAILED';
+                if (!ok) broadcast.discordError = `Discord responded with ${discordStatus}`;
+            } catch (discordError) {
+                broadcast.discordStatus = 'FAILED';
+                broadcast.discordError = discordError.message;
+            }
+        }
+
+        // Emails can take a while for a large event, so they finish after the response
+        if (useChannels.email && recipients.length > 0) {
+            await broadcast.save();
+            deliverEmails(broadcast, recipients, { event, organizerName: organizer?.organizerProfile?.name })
+                .catch(emailError => console.error('Failed to deliver broadcast emails:', emailError.message));
+        } else {
+            broadcast.status = 'SENT';
+            broadcast.completedAt = new Date();
+            await broadcast.save();
+        }
+
+        res.status(201).json({
+            message: broadcast.status === 'SENDING'
+                ? `Broadcast sent to ${recipients.length} registrant(s). Emails are being delivered.`
+                : `Broadcast sent to ${recipients.length} registrant(s)`,
+            broadcast,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: broadcasts sent for an event, newest first
+exports.getEventBroadcasts = async (req, res) => {
+    try {
+        const { event, status, error } = await loadOwnEvent(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const broadcasts = await Broadcast.find({ eventId: event._id })
+                                    .populate('filters.teamId', 'teamName')
+                                    .sort({ createdAt: -1 });
+
+        res.status(200).json({ broadcasts });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: one broadcast with its delivery counts
+exports.getBroadcast = async (req, res) => {
+    try {
+        const broadcast = await Broadcast.findById(req.params.broadcastId)
+                                    .populate('eventId', 'title')
+                                    .populate('filters.teamId', 'teamName');
+        if (!broadcast)
+            return res.status(404).json({ message: 'Broadcast not found' });
+
+        if (broadcast.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: This broadcast belongs to another organizer' });
+
+        res.status(200).json({ broadcast });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
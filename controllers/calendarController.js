@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { eventEntries, buildCalendar } = require('../utils/ics');
+
+// Statuses of events anyone can see (same as the public event listing)
+const VISIBLE_STATUSES = ['PUBLISHED', 'ONGOING', 'CLOSED', 'COMPLETED'];
+
+const eventUrl = (event) =>
+    process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/events/${event._id}` : undefined;
+
+const apiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+const sendCalendar = (res, filename, ics, { download = false } = {}) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.send(ics);
+};
+
+// Public: .ics file to add one event (all its sessions) to a calendar
+exports.downloadEventCalendar = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const event = await Event.findById(id);
+        if (!event || ![...VISIBLE_STATUSES, 'CANCELLED'].includes(event.status))
+            return res.status(404).json({ message: 'Event not found' });
+
+        const entries = eventEntries(event, { url: eventUrl(event) });
+        if (entries.length === 0)
+            return res.status(400).json({ message: 'This event has no date yet' });
+
+        sendCalendar(res, `event-${id}.ics`, buildCalendar({ name: event.title, entries }), { download: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Public (token in the URL): a participant's confirmed registrations, for calendar apps to subscribe to
+exports.getParticipantFeed = async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        const user = token && await User.findOne({ calendarToken: token, role: 'participant', isActive: true });
+        if (!user)
+            return res.status(404).json({ message: 'Calendar feed not found' });
+
+        const registrations = await Registration.find({ participantId: user._id, status: 'CONFIRMED' }).populate('eventId');
+
+        const entries = registrations
+            .filter(reg => reg.eventId && reg.eventId.status !== 'DRAFT')
+            .flatMap(reg => eventEntries(reg.eventId, { sessionIds: reg.sessionIds, url: eventUrl(reg.eventId) }));
+
+        sendCalendar(res, 'felicity.ics', buildCalendar({ name: 'My Felicity Events', entries }));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Public: an organizer's published events
+exports.getOrganizerFeed = async (req, res) => {
+    try {
+        const { id } = req.params; // organizer ID
+
+        const organizer = await User.findOne({ _id: id, role: 'organizer', isActive: true });
+        if (!organizer)
+            return res.status(404).json({ message: 'Organizer not found' });
+
+        const events = await Event.find({ organizerId: id, status: { $in: [...VISIBLE_STATUSES, 'CANCELLED'] } })
+                                .sort({ eventStartDate: 1 });
+
+        const entries = events.flatMap(event => eventEntries(event, { url: eventUrl(event) }));
+        const name = organizer.organizerProfile?.name || 'Felicity';
+
+        sendCalendar(res, `organizer-${id}.ics`, buildCalendar({ name: `${name} Events`, entries }));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: their personal feed URL (created on first request)
+exports.getMyCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        if (!user)
+            return res.status(404).json({ message: 'User not found' });
+
+        if (!user.calendarToken) {
+            user.calendarToken = crypto.randomBytes(24).toString('base64url');
+            await user.save();
+        }
+
+        res.status(200).json({ feedUrl: `${apiBaseUrl(req)}/calendar/feeds/${user.calendarToken}.ics` });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: replace their feed URL, e.g. after sharing it by mistake
+exports.resetMyCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        if (!user)
+            return res.status(404).json({ message: 'User not found' });
+
+        user.calendarToken = crypto.randomBytes(24).toString('base64url');
+        await user.save();
+
+        res.status(200).json({
+            message: 'Calendar feed URL reset. Subscriptions using the old URL will stop updating.',
+            feedUrl: `${apiBaseUrl(req)}/calendar/feeds/${user.calendarToken}.ics`,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,387 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const CheckInLog = require('../models/CheckInLog');
+const { resolveTicket } = require('./ticketController');
+const { isRegisteredForSession } = require('../utils/eventSessions');
+
+// Helper: load an event and make sure the requesting organizer owns it
+const loadOwnedEvent = async (eventId, userId) => {
+    const event = await Event.findById(eventId);
+    if (!event)
+        return { status: 404, error: 'Event not found' };
+
+    if (event.organizerId.toString() !== userId)
+        return { status: 403, error: 'Not your event' };
+
+    return { event };
+};
+
+// Helper: why a registration may not be checked in (null when it may)
+const checkInBlocker = (registration) => {
+    switch (registration.status) {
+        case 'CONFIRMED':
+            return null;
+        case 'CANCELLED':
+            return 'Registration has been cancelled';
+        case 'PENDING':
+            return 'Registration is pending payment approval';
+        case 'REJECTED':
+            return 'Registration was rejected';
+        case 'WAITLISTED':
+            return 'Participant is on the waitlist and has no confirmed seat';
+        default:
+            return 'Registration is not confirmed';
+    }
+};
+
+// Helper: why a registration may not be checked in to a given session (null when it may)
+const sessionBlocker = (event, registration, sessionId) => {
+    if (!sessionId)
+        return null;
+
+    if (!(event.sessions || []).some(s => s.sessionId === sessionId))
+        return 'Session not found';
+
+    if (!isRegisteredForSession(registration, sessionId))
+        return 'Participant is not registered for this session';
+
+    return null;
+};
+
+// Helper: mark a registration (or one of its sessions) attended exactly once and record who did it
+const recordCheckIn = async (registration, { method, performedBy, at, sessionId }) => {
+    const attendedAt = at || new Date();
+
+    // Conditional updates so two scanners hitting the same ticket can't both check it in
+    if (sessionId) {
+        const result = await Registration.updateOne(
+            { _id: registration._id, 'sessionAttendance.sessionId': { $ne: sessionId } },
+            { $push: { sessionAttendance: { sessionId, attendedAt } }, $set: { attended: true } }
+        );
+
+        if (result.modifiedCount === 0)
+            return false;
+
+        // The first session attended is also the overall check-in time
+        await Registration.updateOne(
+            { _id: registration._id, attendedAt: null },
+            { $set: { attendedAt } }
+        );
+
+        registration.sessionAttendance.push({ sessionId, attendedAt });
+        registration.attendedAt = registration.attendedAt || attendedAt;
+    } else {
+        const result = await Registration.updateOne(
+            { _id: registration._id, attended: { $ne: true } },
+            { $set: { attended: true, attendedAt } }
+        );
+
+        if (result.modifiedCount === 0)
+            return false;
+
+        registration.attendedAt = attendedAt;
+    }
+
+    registration.attended = true;
+
+    await CheckInLog.create({
+        eventId: registration.eventId,
+        registrationId: registration._id,
+        action: 'CHECK_IN',
+        method,
+        sessionId,
+        performedBy,
+    });
+
+    return true;
+};
+
+const participantSummary = (registration) => ({
+    name: `${registration.participantId?.participantProfile?.firstname || ''} ${registration.participantId?.participantProfile?.lastname || ''}`.trim(),
+    email: registration.participantId?.email,
+    ticketId: registration.ticketId,
+    teamName: registration.teamId?.teamName || null,
+    status: registration.status,
+    registeredAt: registration.createdAt,
+    attended: registration.attended,
+    attendedAt: registration.attendedAt,
+    sessionAttendance: registration.sessionAttendance
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check-in participant using any QR ticket format we issue
+exports.checkIn = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+        const { qrPayload, sessionId } = req.body;
+
+        if (!qrPayload)
+            return res.status(400).json({ message: 'QR payload is required' });
+
+        const { event, error: eventError, status: eventStatus } = await loadOwnedEvent(id, req.user.id);
+        if (eventError)
+            return res.status(eventStatus).json({ message: eventError });
+
+        // Verify the ticket signature (or legacy payload) and find its registration
+        const { registration, error, status } = await resolveTicket(qrPayload, id);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const blocker = checkInBlocker(registration) || sessionBlocker(event, registration, sessionId);
+        if (blocker)
+            return res.status(400).json({ message: blocker, participant: participantSummary(registration) });
+
+        const checkedIn = await recordCheckIn(registration, { method: 'QR', performedBy: req.user.id, sessionId });
+
+        res.status(200).json({
+            message: checkedIn ? 'Check-in successful' : 'Already checked in',
+            alreadyCheckedIn: !checkedIn,
+            participant: participantSummary(registration)
+        });
+
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Search an event's registrations by ticket ID, email or name (for manual check-in)
+exports.searchRegistrations = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+        const q = (req.query.q || '').trim();
+
+        if (q.length < 2)
+            return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+
+        const { error, status } = await loadOwnedEvent(id, req.user.id);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        // Every word must match the email, first name or last name of one of this event's registrants
+        const participantIds = await Registration.find({ eventId: id }).distinct('participantId');
+        const terms = q.split(/\s+/).map(term => new RegExp(escapeRegex(term), 'i'));
+        const users = await User.find({
+            _id: { $in: participantIds },
+            role: 'participant',
+            $and: terms.map(regex => ({
+                $or: [
+                    { email: regex },
+                    { 'participantProfile.firstname': regex },
+                    { 'participantProfile.lastname': regex },
+                ]
+            }))
+        }).select('_id').limit(200);
+
+        const registrations = await Registration.find({
+            eventId: id,
+            $or: [
+                { ticketId: q },
+                { participantId: { $in: users.map(u => u._id) } },
+            ]
+        })
+            .populate('participantId', 'email participantProfile')
+            .populate('teamId', 'teamName')
+            .limit(20);
+
+        res.status(200).json({
+            count: registrations.length,
+            results: registrations.map(reg => ({
+                registrationId: reg._id,
+                canCheckIn: !checkInBlocker(reg),
+                blocker: checkInBlocker(reg),
+                ...participantSummary(reg),
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Manual check-in for participants without their QR (by registration or ticket ID)
+exports.manualCheckIn = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+        const { registrationId, ticketId, sessionId } = req.body;
+
+        if (!registrationId && !ticketId)
+            return res.status(400).json({ message: 'registrationId or ticketId is required' });
+
+        const { event, error, status } = await loadOwnedEvent(id, req.user.id);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const query = { eventId: id };
+        if (registrationId) query._id = registrationId;
+        else query.ticketId = ticketId.trim();
+
+        const registration = await Registration.findOne(query)
+                                    .populate('participantId', 'email participantProfile')
+                                    .populate('teamId', 'teamName');
+
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        const blocker = checkInBlocker(registration) || sessionBlocker(event, registration, sessionId);
+        if (blocker)
+            return res.status(400).json({ message: blocker, participant: participantSummary(registration) });
+
+        const checkedIn = await recordCheckIn(registration, { method: 'MANUAL', performedBy: req.user.id, sessionId });
+
+        res.status(200).json({
+            message: checkedIn ? 'Check-in successful' : 'Already checked in',
+            alreadyCheckedIn: !checkedIn,
+            participant: participantSummary(registration)
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Undo a mistaken check-in (reason is kept in the audit log)
+exports.undoCheckIn = async (req, res) => {
+    try {
+        const { id, registrationId } = req.params;
+        const { reason, sessionId } = req.body;
+
+        if (!reason || !reason.trim())
+            return res.status(400).json({ message: 'A reason is required to undo a check-in' });
+
+        const { error, status } = await loadOwnedEvent(id, req.user.id);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const registration = await Registration.findOne({ _id: registrationId, eventId: id })
+                                    .populate('participantId', 'email participantProfile')
+                                    .populate('teamId', 'teamName');
+
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (!registration.attended)
+            return res.status(400).json({ message: 'Participant is not checked in' });
+
+        let previousAttendedAt = registration.attendedAt;
+        if (sessionId) {
+            const sessionCheckIn = (registration.sessionAttendance || []).find(a => a.sessionId === sessionId);
+            if (!sessionCheckIn)
+                return res.status(400).json({ message: 'Participant is not checked in to this session' });
+
+            previousAttendedAt = sessionCheckIn.attendedAt;
+            registration.sessionAttendance = registration.sessionAttendance.filter(a => a.sessionId !== sessionId);
+
+            // Undoing the only attended session undoes the overall check-in as well
+            if (registration.sessionAttendance.length === 0) {
+                registration.attended = false;
+                registration.attendedAt = undefined;
+            }
+        } else {
+            registration.attended = false;
+            registration.attendedAt = undefined;
+            registration.sessionAttendance = [];
+        }
+        await registration.save();
+
+        await CheckInLog.create({
+            eventId: registration.eventId,
+            registrationId: registration._id,
+            action: 'UNDO',
+            sessionId,
+            performedBy: req.user.id,
+            reason: reason.trim(),
+            previousAttendedAt,
+        });
+
+        res.status(200).json({ message: 'Check-in undone', participant: participantSummary(registration) });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Audit log of check-ins and undos for an event
+exports.getCheckInLog = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const { error, status } = await loadOwnedEvent(id, req.user.id);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const entries = await CheckInLog.find({ eventId: id })
+                                .populate('performedBy', 'email organizerProfile.name')
+                                .populate({
+                                    path: 'registrationId',
+                                    select: 'ticketId participantId',
+                                    populate: { path: 'participantId', select: 'email participantProfile' }
+                                })
+                                .sort({ createdAt: -1 });
+
+        res.status(200).json({ count: entries.length, entries });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Upload check-ins a scanner recorded while offline
+exports.syncOfflineCheckIns = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+        const { scans } = req.body; // [{ qrPayload, scannedAt, sessionId }]
+
+        if (!Array.isArray(scans) || scans.length === 0)
+            return res.status(400).json({ message: 'scans must be a non-empty array' });
+
+        const { event, error: eventError, status: eventStatus } = await loadOwnedEvent(id, req.user.id);
+        if (eventError)
+            return res.status(eventStatus).json({ message: eventError });
+
+        const results = [];
+        for (const [index, scan] of scans.entries()) {
+            const { registration, error } = await resolveTicket(scan?.qrPayload, event._id);
+            if (error) {
+                results.push({ index, result: 'REJECTED', reason: error });
+                continue;
+            }
+
+            const blocker = checkInBlocker(registration) || sessionBlocker(event, registration, scan.sessionId);
+            if (blocker) {
+                results.push({ index, ticketId: registration.ticketId, result: 'REJECTED', reason: blocker });
+                continue;
+            }
+
+            // Trust the scanner's clock unless it is missing or in the future
+            const scannedAt = scan.scannedAt ? new Date(scan.scannedAt) : null;
+            const attendedAt = scannedAt && !isNaN(scannedAt) && scannedAt <= new Date() ? scannedAt : new Date();
+
+            const checkedIn = await recordCheckIn(registration, {
+                method: 'OFFLINE_SYNC',
+                performedBy: req.user.id,
+                at: attendedAt,
+                sessionId: scan.sessionId,
+            });
+            if (!checkedIn) {
+                // Keep the earliest recorded scan of the whole event
+                const current = await Registration.findById(registration._id).select('attendedAt');
+                if (!scan.sessionId && current?.attendedAt && attendedAt < current.attendedAt) {
+                    current.attendedAt = attendedAt;
+                    await current.save();
+                }
+                results.push({ index, ticketId: registration.ticketId, result: 'ALREADY_CHECKED_IN', attendedAt: current?.attendedAt });
+                continue;
+            }
+
+            results.push({ index, ticketId: registration.ticketId, result: 'CHECKED_IN', attendedAt });
+        }
+
+        res.status(200).json({
+            message: 'Offline check-ins synced',
+            checkedIn: results.filter(r => r.result === 'CHECKED_IN').length,
+            alreadyCheckedIn: results.filter(r => r.result === 'ALREADY_CHECKED_IN').length,
+            rejected: results.filter(r => r.result === 'REJECTED').length,
+            results,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,283 @@
+const Event = require('../models/Event');
+const Coupon = require('../models/Coupon');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { buildCartLines } = require('../utils/merchOrder');
+
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'value', 'maxDiscount', 'maxUses',
+    'perUserLimit', 'validFrom', 'expiresAt', 'eligibility', 'applicableSkus', 'isActive',
+];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Check organizer-supplied coupon terms. Returns an error message or null.
+const validateCouponTerms = (coupon) => {
+    if (!['PERCENTAGE', 'FLAT'].includes(coupon.discountType))
+        return 'discountType must be PERCENTAGE or FLAT';
+
+    if (typeof coupon.value !== 'number' || coupon.value <= 0)
+        return 'Coupon value must be a positive number';
+
+    if (coupon.discountType === 'PERCENTAGE' && coupon.value > 100)
+        return 'A percentage discount cannot exceed 100';
+
+    if (coupon.maxUses !== undefined && coupon.maxUses !== null && (!Number.isInteger(coupon.maxUses) || coupon.maxUses < 1))
+        return 'maxUses must be a positive whole number';
+
+    if (coupon.perUserLimit !== undefined && coupon.perUserLimit !== null && (!Number.isInteger(coupon.perUserLimit) || coupon.perUserLimit < 1))
+        return 'perUserLimit must be a positive whole number';
+
+    if (coupon.validFrom && coupon.expiresAt && new Date(coupon.expiresAt) <= new Date(coupon.validFrom))
+        return 'Coupon must expire after it becomes valid';
+
+    return null;
+};
+
+/**
+ * Work out what a coupon takes off an order, without redeeming it.
+ * lines: [{ sku, amount }] – REGISTRATION_FEE is the sku for the event fee.
+ * Resolves to { coupon, discount, subtotal } or { error }.
+ */
+const applyCoupon = async ({ eventId, code, userId, lines }) => {
+    const coupon = await Coupon.findOne({ eventId, code: String(code).trim().toUpperCase() });
+    if (!coupon || !coupon.isActive)
+        return { error: 'Invalid coupon code' };
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom)
+        return { error: 'This coupon is not active yet' };
+
+    if (coupon.expiresAt && now > coupon.expiresAt)
+        return { error: 'This coupon has expired' };
+
+    if (coupon.maxUses && coupon.usedCount >= coupon.maxUses)
+        return { error: 'This coupon has reached its usage limit' };
+
+    if (coupon.eligibility && coupon.eligibility.length > 0) {
+        const participant = await User.findById(userId);
+        const pType = participant?.participantProfile?.participantType;
+        if (!pType || !coupon.eligibility.includes(pType))
+            return { error: 'You are not eligible for this coupon' };
+    }
+
+    if (coupon.perUserLimit) {
+        const timesUsed = await Registration.countDocuments({
+            participantId: userId,
+            'order.couponId': coupon._id,
+            status: { $ne: 'CANCELLED' },
+        });
+        if (timesUsed >= coupon.perUserLimit)
+            return { error: 'You have already used this coupon' };
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const eligibleAmount = lines
+        .filter(line => !coupon.applicableSkus?.length || coupon.applicableSkus.includes(line.sku))
+        .reduce((sum, line) => sum + line.amount, 0);
+
+    if (eligibleAmount <= 0)
+        return { error: 'This coupon does not apply to your order' };
+
+    let discount = coupon.discountType === 'PERCENTAGE'
+        ? eligibleAmount * coupon.value / 100
+        : coupon.value;
+
+    if (coupon.discountType === 'PERCENTAGE' && coupon.maxDiscount)
+        discount = Math.min(discount, coupon.maxDiscount);
+
+    discount = roundMoney(Math.min(discount, eligibleAmount));
+
+    return { coupon, discount, subtotal };
+};
+
+/**
+ * Count one use of a coupon. The cap is enforced atomically, so two
+ * participants racing for the last use cannot both get it.
+ */
+const redeemCoupon = async (coupon) => {
+    const filter = { _id: coupon._id, isActive: true };
+    if (coupon.maxUses)
+        filter.usedCount = { $lt: coupon.maxUses };
+
+    const result = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } });
+    return result.modifiedCount === 1;
+};
+
+// Give back the use held by a registration that is cancelled or replaced
+const releaseCoupon = async (registration) => {
+    if (!registration.order?.couponId)
+        return;
+
+    await Coupon.updateOne(
+        { _id: registration.order.couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+};
+
+exports.applyCoupon = applyCoupon;
+exports.redeemCoupon = redeemCoupon;
+exports.releaseCoupon = releaseCoupon;
+
+// Organizer: create a coupon for one of their events
+exports.createCoupon = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Not your event' });
+
+        if (!req.body.code || !String(req.body.code).trim())
+            return res.status(400).json({ message: 'Coupon code is required' });
+
+        const terms = {};
+        COUPON_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) terms[field] = req.body[field];
+        });
+
+        const termsError = validateCouponTerms(terms);
+        if (termsError)
+            return res.status(400).json({ message: termsError });
+
+        const existing = await Coupon.findOne({ eventId: id, code: String(terms.code).trim().toUpperCase() });
+        if (existing)
+            return res.status(400).json({ message: 'A coupon with this code already exists for this event' });
+
+        const coupon = await Coupon.create({ ...terms, eventId: id, organizerId: req.user.id });
+
+        res.status(201).json({ message: 'Coupon created', coupon });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: list an event's coupons with how often each was used
+exports.getEventCoupons = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Not your event' });
+
+        const coupons = await Coupon.find({ eventId: id }).sort({ createdAt: -1 });
+
+        res.status(200).json({ count: coupons.length, coupons });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: change a coupon's terms or switch it off
+exports.updateCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+
+        const coupon = await Coupon.findById(couponId);
+        if (!coupon)
+            return res.status(404).json({ message: 'Coupon not found' });
+
+        if (coupon.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Not your coupon' });
+
+        // The code is what participants already have, so it cannot change once used
+        if (req.body.code !== undefined && coupon.usedCount > 0 &&
+            String(req.body.code).trim().toUpperCase() !== coupon.code)
+            return res.status(400).json({ message: 'Cannot change the code of a coupon that has been used' });
+
+        COUPON_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) coupon[field] = req.body[field];
+        });
+
+        const termsError = validateCouponTerms(coupon);
+        if (termsError)
+            return res.status(400).json({ message: termsError });
+
+        await coupon.save();
+
+        res.status(200).json({ message: 'Coupon updated', coupon });
+    } catch (error) {
+        if (error.code === 11000)
+            return res.status(400).json({ message: 'A coupon with this code already exists for this event' });
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: delete an unused coupon; used ones are deactivated to keep order history intact
+exports.deleteCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+
+        const coupon = await Coupon.findById(couponId);
+        if (!coupon)
+            return res.status(404).json({ message: 'Coupon not found' });
+
+        if (coupon.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Not your coupon' });
+
+        const used = await Registration.exists({ 'order.couponId': coupon._id });
+        if (used) {
+            coupon.isActive = false;
+            await coupon.save();
+            return res.status(200).json({ message: 'Coupon has been used, so it was deactivated instead of deleted', coupon });
+        }
+
+        await Coupon.deleteOne({ _id: coupon._id });
+
+        res.status(200).json({ message: 'Coupon deleted' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: preview a coupon against an order before registering
+exports.previewCoupon = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+        const { code, order } = req.body;
+
+        if (!code)
+            return res.status(400).json({ message: 'Coupon code is required' });
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        const lines = [];
+        const registrationFee = Number(event.fee || 0);
+        if (registrationFee > 0)
+            lines.push({ sku: 'REGISTRATION_FEE', amount: registrationFee });
+
+        const requestedItems = Array.isArray(order?.items) ? order.items : order?.sku ? [order] : [];
+        if (event.type === 'MERCH' && requestedItems.length > 0) {
+            const { lines: cartLines, error: cartError } = buildCartLines(event, requestedItems);
+            if (cartError)
+                return res.status(400).json({ message: cartError });
+            cartLines.forEach(line => lines.push({ sku: line.sku, amount: line.amount }));
+        }
+
+        const { coupon, discount, subtotal, error } = await applyCoupon({ eventId: id, code, userId: req.user.id, lines });
+        if (error)
+            return res.status(400).json({ valid: false, message: error });
+
+        res.status(200).json({
+            valid: true,
+            code: coupon.code,
+            description: coupon.description,
+            discountType: coupon.discountType,
+            value: coupon.value,
+            subtotal,
+            discount,
+            amountDue: roundMoney(subtotal - discount),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -4,6 +4,13 @@ const User = require('../models/User');
 const crypto = require('crypto');
 const { createNotification } = require('./notificationController');
 const { sendTicketEmail } = require('../config/mailer');
+const { signTicket } = require('../utils/ticketSigner');
+const { resolveSessionSelection, findFullSessions } = require('../utils/eventSessions');
+const { validateFormResponse } = require('../utils/formValidator');
+const { countOccupiedSeats, getWaitlistPosition, SEAT_HOLDING_STATUSES } = require('./waitlistController');
+const { applyCoupon, redeemCoupon, releaseCoupon } = require('./couponController');
+const { getOrderLines, buildCartLines } = require('../utils/merchOrder');
+const { reserveOrderStock, releaseLines, getReservationMinutes } = require('../utils/stockReservation');
 
 exports.getAllEvents = async (req, res) => {
     try {
@@ -77,7 +84,7 @@ exports.getAllEvents = async (req, res) => {
         const eventsWithCounts = await Promise.all(
             filteredEvents.map(async (ev) => {
                 if (!ev.maxParticipants) return ev.toObject ? { ...ev.toObject(), currentRegistrations: null } : ev;
-                const count = await Registration.countDocuments({ eventId: ev._id, status: { $ne: 'CANCELLED' } });
+                const count = await countOccupiedSeats(ev._id);
                 return { ...(ev.toObject ? ev.toObject() : ev), currentRegistrations: count };
             })
         );
@@ -109,11 +116,112 @@ exports.getEventById = async (req, res) => {
     }
 };
 
+// Price an order's lines and check an optional coupon against them (redeemed later, once the order is valid)
+const priceOrder = async (eventId, userId, couponCode, lines) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (!couponCode)
+    return { subtotal, discount: 0, amountDue: subtotal, coupon: null };
+
+  const { coupon, discount, error } = await applyCoupon({ eventId, code: couponCode, userId, lines });
+  if (error)
+    return { error };
+
+  return { subtotal, discount, amountDue: Math.round((subtotal - discount) * 100) / 100, coupon };
+};
+
+// Order fields recording the price before discount and the coupon used
+const pricingFields = (pricing) => ({
+  subtotal: pricing.subtotal,
+  discount: pricing.discount,
+  ...(pricing.coupon && { couponCode: pricing.coupon.code, couponId: pricing.coupon._id }),
+});
+
+// Save a new registration, handing back its coupon use and reserved stock if the save fails
+const saveNewRegistration = async (registration) => {
+  try {
+    return await registration.save();
+  } catch (error) {
+    await releaseCoupon(registration);
+    if (registration.order?.stockReserved)
+      await releaseLines(registration.eventId, getOrderLines(registration.order));
+    throw error;
+  }
+};
+
+// Units of each SKU a participant already has on active orders for an event
+const countPurchasedUnits = async (eventId, userId) => {
+  const orders = await Registration.find({
+    eventId,
+    participantId: userId,
+    status: { $in: [...SEAT_HOLDING_STATUSES, 'WAITLISTED'] },
+  }).select('order');
+
+  const units = new Map();
+  orders.forEach(r => getOrderLines(r.order).forEach(line => {
+    units.set(line.sku, (units.get(line.sku) || 0) + line.quantity);
+  }));
+  return units;
+};
+
+/**
+ * Make way for a new registration by this participant: a previous REJECTED or CANCELLED
+ * one is removed, anything else blocks. Resolves to an error message or null.
+ */
+const clearPreviousRegistration = async (eventId, userId) => {
+  const existing = await Registration.findOne({ eventId, participantId: userId });
+  if (!existing) return null;
+
+  if (existing.status === 'REJECTED' || existing.status === 'CANCELLED') {
+    // A rejected order still holds its coupon use (cancelled ones gave it back already)
+    if (existing.status === 'REJECTED') await releaseCoupon(existing);
+    await Registration.deleteOne({ _id: existing._id });
+    return null;
+  }
+
+  if (existing.status === 'WAITLISTED')
+    return 'You are already on the waitlist for this event';
+
+  return 'You have already registered for this event';
+};
+
+// Whether the participant's type is one the event is open to
+const isEligible = async (event, userId) => {
+  if (!event.eligibility || event.eligibility.length === 0) return true;
+
+  const participant = await User.findById(userId);
+  const pType = participant?.participantProfile?.participantType;
+  return !!pType && event.eligibility.includes(pType);
+};
+
+exports.clearPreviousRegistration = clearPreviousRegistration;
+exports.isEligible = isEligible;
+
+// Shared response for registrations that landed on a full event's waitlist
+const respondWaitlisted = async (res, event, registration) => {
+  const waitlistPosition = await getWaitlistPosition(registration);
+
+  await createNotification({
+    userId: registration.participantId,
+    type: 'REGISTRATION',
+    title: 'Added to Waitlist',
+    message: `${event.title} is full. You are #${waitlistPosition} on the waitlist and will be notified if a spot opens up.`,
+    eventId: event._id,
+    link: `/events/${event._id}`,
+  });
+
+  return res.status(201).json({
+    message: `Event is full. You have been added to the waitlist at position ${waitlistPosition}.`,
+    registration,
+    waitlisted: true,
+    waitlistPosition,
+  });
+};
+
 exports.registerForEvent = async (req, res) => {
   try {
     const { id } = req.params; // event ID
     const userId = req.user.id;
-    const { formData } = req.body;
+    const { formData, sessionIds: requestedSessionIds, couponCode } = req.body;
 
     const event = await Event.findById(id);
     if (!event) return res.status(404).json({ message: 'Event not found' });
@@ -144,50 +252,57 @@ exports.registerForEvent = async (req, res) => {
       return res.status(400).json({ message: 'Event has already started - registrations closed' });
 
     // Prevent duplicate registration (allow re-registration if previous was REJECTED or CANCELLED)
-    const existing = await Registration.findOne({ eventId: id, participantId: userId });
-    if (existing) {
-      if (existing.status === 'REJECTED' || existing.status === 'CANCELLED') {
-        await Registration.deleteOne({ _id: existing._id });
-      } else {
-        return res.status(400).json({ message: 'You have already registered for this event' });
-      }
-    }
+    const duplicateError = await clearPreviousRegistration(id, userId);
+    if (duplicateError)
+      return res.status(400).json({ message: duplicateError });
 
-    // Capacity check (count only non-cancelled)
-    const registrationCount = await Registration.countDocuments({
-      eventId: id,
-      status: { $ne: 'CANCELLED' },
-    });
+    // Capacity check - once full, new registrations join the waitlist (if enabled)
+    const isFull = !!event.maxParticipants && (await countOccupiedSeats(id)) >= event.maxParticipants;
 
-    if (event.maxParticipants && registrationCount >= event.maxParticipants)
+    if (isFull && !event.allowWaitlist)
       return res.status(400).json({ message: 'Event has reached maximum participant limit' });
 
     // Eligibility check
-    if (event.eligibility && event.eligibility.length > 0) {
-      const participant = await User.findById(userId);
-      const pType = participant?.participantProfile?.participantType;
+    if (!(await isEligible(event, userId)))
+      return res.status(403).json({ message: 'You do not meet the eligibility criteria for this event' });
 
-      if (!pType || !event.eligibility.includes(pType)) {
-        return res.status(403).json({ message: 'You do not meet the eligibility criteria for this event' });
-      }
-    }
+    // Validate answers against the event's custom form before anything is saved
+    const { errors: formErrors, values: formResponse } = validateFormResponse(event.formSchema, formData, { uploaderId: userId });
+    if (Object.keys(formErrors).length > 0)
+      return res.status(400).json({ message: 'Please correct the highlighted form fields', errors: formErrors });
+
+    // Multi-session events: register for the chosen sessions (all by default), each within its capacity
+    const { sessionIds, error: sessionError } = resolveSessionSelection(event, requestedSessionIds);
+    if (sessionError)
+      return res.status(400).json({ message: sessionError });
+
+    const [fullSession] = await findFullSessions(event, sessionIds);
+    if (fullSession)
+      return res.status(400).json({ message: `Session "${fullSession.title}" is full` });
 
     const ticketId = crypto.randomUUID();
 
     // YOUR SYSTEM RULE:
-    // If reg fee > 0 => PENDING (no QR/email)
-    // If reg fee == 0 => CONFIRMED immediately + QR/email
+    // If amount due > 0 => PENDING (no QR/email)
+    // If amount due == 0 => CONFIRMED immediately + QR/email
     const regFee = Number(event.fee || 0);
-    const needsPayment = regFee > 0;
 
-    const qrPayload = needsPayment
+    if (couponCode && regFee <= 0)
+      return res.status(400).json({ message: 'This event has no fee to discount' });
+
+    const pricing = await priceOrder(id, userId, couponCode, regFee > 0 ? [{ sku: 'REGISTRATION_FEE', amount: regFee }] : []);
+    if (pricing.error)
+      return res.status(400).json({ message: pricing.error });
+
+    if (pricing.coupon && !(await redeemCoupon(pricing.coupon)))
+      return res.status(400).json({ message: 'This coupon has reached its usage limit' });
+
+    const amountDue = pricing.amountDue;
+    const needsPayment = amountDue > 0;
+
+    const qrPayload = needsPayment || isFull
       ? null
-      : JSON.stringify({
-          registrationId: ticketId,
-          eventId: id,
-          participantId: userId,
-          timestamp: new Date().toISOString(),
-        });
+      : signTicket({ ticketId, eventId: id, participantId: userId });
 
     const registration = new Registration({
       eventId: id,
@@ -195,36 +310,36 @@ exports.registerForEvent = async (req, res) => {
       type: 'NORMAL',
       ticketId,
       qrPayload,
-      formResponse: formData || {},
-      status: needsPayment ? 'PENDING' : 'CONFIRMED',
-      ...(needsPayment && {
+      formResponse,
+      formVersion: event.formVersion || 1,
+      sessionIds,
+      status: isFull ? 'WAITLISTED' : needsPayment ? 'PENDING' : 'CONFIRMED',
+      ...(isFull && { waitlistedAt: new Date() }),
+      ...(regFee > 0 && {
         order: {
           sku: 'REGISTRATION_FEE',
           name: 'Event Registration',
           variant: { size: '-', color: '-' },
           quantity: 1,
           price: regFee,
-          amountPaid: regFee,
-          paymentStatus: 'PENDING',
+          ...pricingFields(pricing),
+          amountPaid: amountDue,
+          paymentStatus: needsPayment ? 'PENDING' : 'APPROVED',
         },
       }),
     });
 
-    await registration.save();
+    await saveNewRegistration(registration);
 
-    // Lock form after first registration (keeping your existing behavior)
-    const regCount = await Registration.countDocuments({ eventId: id });
-    if (regCount === 1 && !event.formLocked) {
-      event.formLocked = true;
-      await event.save();
-    }
+    if (isFull)
+      return respondWaitlisted(res, event, registration);
 
     if (needsPayment) {
       await createNotification(
         userId,
         'REGISTRATION',
         'Payment Required',
-        `You've registered for ${event.title}. Please upload payment proof of ₹${regFee} to confirm your spot.`,
+        `You've registered for ${event.title}. Please upload payment proof of ₹${amountDue} to confirm your spot.`,
         id,
         null,
         null,
@@ -232,10 +347,11 @@ exports.registerForEvent = async (req, res) => {
       );
 
       return res.status(201).json({
-        message: `Registration submitted. Please upload payment proof of ₹${regFee} to confirm your spot.`,
+        message: `Registration submitted. Please upload payment proof of ₹${amountDue} to confirm your spot.`,
         registration,
         requiresPayment: true,
-        amountDue: regFee,
+        amountDue,
+        breakdown: { registrationFee: regFee, discount: pricing.discount, couponCode: pricing.coupon?.code || null },
       });
     }
 
@@ -291,7 +407,7 @@ exports.registerForMerchEvent = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { order, formData } = req.body; // (optional) keep compatible if you later add formData
+    const { order, formData, couponCode } = req.body;
 
     const event = await Event.findById(id);
     if (!event) return res.status(404).json({ message: 'Event not found' });
@@ -316,80 +432,80 @@ exports.registerForMerchEvent = async (req, res) => {
       return res.status(400).json({ message: 'Registration deadline has passed' });
 
     // Prevent duplicate registration (allow re-registration if previous was REJECTED or CANCELLED)
-    const existing = await Registration.findOne({ eventId: id, participantId: userId });
-    if (existing) {
-      if (existing.status === 'REJECTED' || existing.status === 'CANCELLED') {
-        await Registration.deleteOne({ _id: existing._id });
-      } else {
-        return res.status(400).json({ message: 'You have already registered for this event' });
-      }
-    }
+    const duplicateError = await clearPreviousRegistration(id, userId);
+    if (duplicateError)
+      return res.status(400).json({ message: duplicateError });
 
-    // Capacity check (count only non-cancelled)
-    const registrationCount = await Registration.countDocuments({
-      eventId: id,
-      status: { $ne: 'CANCELLED' },
-    });
+    // Capacity check - once full, new registrations join the waitlist (if enabled)
+    const isFull = !!event.maxParticipants && (await countOccupiedSeats(id)) >= event.maxParticipants;
 
-    if (event.maxParticipants && registrationCount >= event.maxParticipants)
+    if (isFull && !event.allowWaitlist)
       return res.status(400).json({ message: 'Event has reached maximum participant limit' });
 
     // Eligibility check (optional consistency)
-    if (event.eligibility && event.eligibility.length > 0) {
-      const participant = await User.findById(userId);
-      const pType = participant?.participantProfile?.participantType;
+    if (!(await isEligible(event, userId)))
+      return res.status(403).json({ message: 'You do not meet the eligibility criteria for this event' });
 
-      if (!pType || !event.eligibility.includes(pType)) {
-        return res.status(403).json({ message: 'You do not meet the eligibility criteria for this event' });
-      }
-    }
+    // Validate answers against the event's custom form before anything is saved
+    const { errors: formErrors, values: formResponse } = validateFormResponse(event.formSchema, formData, { uploaderId: userId });
+    if (Object.keys(formErrors).length > 0)
+      return res.status(400).json({ message: 'Please correct the highlighted form fields', errors: formErrors });
 
     const ticketId = crypto.randomUUID();
 
     const registrationFee = Number(event.fee || 0);
     const merchandiseFee = Number(event.merchandiseFee || 0);
 
-    const isRegOnly = !order || !order.sku;
+    // A cart is { items: [{ sku, variant, quantity }] }; a bare { sku, variant, quantity } is a one-item cart
+    const requestedItems = Array.isArray(order?.items) ? order.items : order?.sku ? [order] : [];
+    const isRegOnly = requestedItems.length === 0;
 
     // ---------- CASE A: Registration only (no merch) ----------
     if (isRegOnly) {
-      const total = registrationFee; // only reg fee
+      const pricing = await priceOrder(id, userId, couponCode, registrationFee > 0 ? [{ sku: 'REGISTRATION_FEE', amount: registrationFee }] : []);
+      if (pricing.error)
+        return res.status(400).json({ message: pricing.error });
+
+      if (pricing.coupon && !(await redeemCoupon(pricing.coupon)))
+        return res.status(400).json({ message: 'This coupon has reached its usage limit' });
+
+      const total = pricing.amountDue; // only reg fee, less any discount
       const needsPayment = total > 0;
 
-      const qrPayload = needsPayment
+      const qrPayload = needsPayment || isFull
         ? null
-        : JSON.stringify({
-            registrationId: ticketId,
-            eventId: id,
-            participantId: userId,
-            timestamp: new Date().toISOString(),
-          });
-
-      const registration = await Registration.create({
+        : signTicket({ ticketId, eventId: id, participantId: userId });
+
+      const registration = await saveNewRegistration(new Registration({
         eventId: id,
         participantId: userId,
         type: 'MERCH',
         ticketId,
         qrPayload,
-        formResponse: formData || {},
-        status: needsPayment ? 'PENDING' : 'CONFIRMED',
+        formResponse,
+        status: isFull ? 'WAITLISTED' : needsPayment ? 'PENDING' : 'CONFIRMED',
+        ...(isFull && { waitlistedAt: new Date() }),
         order: {
           sku: 'REGISTRATION_FEE',
           name: 'Event Registration',
           variant: { size: '-', color: '-' },
           quantity: 1,
           price: registrationFee,
+          ...pricingFields(pricing),
           amountPaid: total,
-          paymentStatus: needsPayment ? 'PENDING' : 'PAID',
+          paymentStatus: needsPayment ? 'PENDING' : 'APPROVED',
         },
-      });
+      }));
+
+      if (isFull)
+        return respondWaitlisted(res, event, registration);
 
       if (needsPayment) {
         await createNotification(
           userId,
           'REGISTRATION',
           'Payment Required',
-          `Registered for ${event.title}. Please upload payment proof of ₹${registrationFee} to confirm.`,
+          `Registered for ${event.title}. Please upload payment proof of ₹${total} to confirm.`,
           id,
           null,
           null,
@@ -397,10 +513,18 @@ exports.registerForMerchEvent = async (req, res) => {
         );
 
         return res.status(201).json({
-          message: `Registration submitted. Please upload payment proof of ₹${registrationFee} to confirm your spot.`,
+          message: `Registration submitted. Please upload payment proof of ₹${total} to confirm your spot.`,
           registration,
           amountDue: total,
-          breakdown: { registrationFee, merchandiseFee: 0, quantity: 0 },
+          breakdown: {
+            registrationFee,
+            merchandiseFee: 0,
+            merchandiseTotal: 0,
+            quantity: 0,
+            subtotal: pricing.subtotal,
+            discount: pricing.discount,
+            couponCode: pricing.coupon?.code || null,
+          },
         });
       }
 
@@ -451,61 +575,100 @@ exports.registerForMerchEvent = async (req, res) => {
       });
     }
 
-    // ---------- CASE B: Registration + merch purchase ----------
-    if (!order.variant || typeof order.quantity !== 'number')
-      return res.status(400).json({ message: 'Order details (sku, variant, quantity) are required' });
+    // ---------- CASE B: Registration + merch cart ----------
+    const { lines: cartLines, error: cartError } = buildCartLines(event, requestedItems);
+    if (cartError)
+      return res.status(400).json({ message: cartError });
 
-    const item = event.items?.find((i) => i.sku === order.sku);
-    if (!item) return res.status(400).json({ message: 'Invalid item selected' });
+    // Purchase limits apply per item, across every variant and all of the user's active orders
+    const alreadyPurchased = await countPurchasedUnits(id, userId);
+    for (const item of event.items) {
+      if (!item.purchaseLimitPerUser) continue;
 
-    const variant = item.variants?.find(
-      (v) => v.size === order.variant.size && v.color === order.variant.color
-    );
-    if (!variant) return res.status(400).json({ message: 'Invalid variant selected' });
+      const inCart = cartLines.filter(l => l.sku === item.sku).reduce((sum, l) => sum + l.quantity, 0);
+      if (inCart === 0) continue;
+
+      const previous = alreadyPurchased.get(item.sku) || 0;
+      if (previous + inCart > item.purchaseLimitPerUser)
+        return res.status(400).json({
+          message: `You can only purchase up to ${item.purchaseLimitPerUser} units of ${item.name}` +
+            (previous > 0 ? ` (you already have ${previous})` : ''),
+        });
+    }
+
+    const totalUnits = cartLines.reduce((sum, l) => sum + l.quantity, 0);
+    const merchTotal = cartLines.reduce((sum, l) => sum + l.amount, 0);
 
-    if (variant.stock < order.quantity)
-      return res.status(400).json({ message: 'Selected quantity exceeds available stock' });
+    const lines = cartLines.map(l => ({ sku: l.sku, amount: l.amount }));
+    if (registrationFee > 0)
+      lines.unshift({ sku: 'REGISTRATION_FEE', amount: registrationFee });
 
-    if (item.purchaseLimitPerUser && order.quantity > item.purchaseLimitPerUser)
-      return res.status(400).json({ message: `You can only purchase up to ${item.purchaseLimitPerUser} units of this item` });
+    const pricing = await priceOrder(id, userId, couponCode, lines);
+    if (pricing.error)
+      return res.status(400).json({ message: pricing.error });
 
-    const total = registrationFee + merchandiseFee * order.quantity;
+    if (pricing.coupon && !(await redeemCoupon(pricing.coupon)))
+      return res.status(400).json({ message: 'This coupon has reached its usage limit' });
+
+    const total = pricing.amountDue;
     const needsPayment = total > 0;
+    const breakdown = {
+      registrationFee,
+      merchandiseFee, // default unit price; each line carries its own
+      merchandiseTotal: merchTotal,
+      items: cartLines,
+      quantity: totalUnits,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      couponCode: pricing.coupon?.code || null,
+    };
 
-    const qrPayload = needsPayment
+    const qrPayload = needsPayment || isFull
       ? null
-      : JSON.stringify({
-          registrationId: ticketId,
-          eventId: id,
-          participantId: userId,
-          timestamp: new Date().toISOString(),
-        });
+      : signTicket({ ticketId, eventId: id, participantId: userId });
 
-    const registration = await Registration.create({
+    const registration = new Registration({
       eventId: id,
       participantId: userId,
       type: 'MERCH',
       ticketId,
       qrPayload,
-      formResponse: formData || {},
-      status: needsPayment ? 'PENDING' : 'CONFIRMED',
+      formResponse,
+      status: isFull ? 'WAITLISTED' : needsPayment ? 'PENDING' : 'CONFIRMED',
+      ...(isFull && { waitlistedAt: new Date() }),
       order: {
-        sku: item.sku,
-        name: item.name,
-        variant: { size: order.variant.size, color: order.variant.color },
-        quantity: order.quantity,
-        price: merchandiseFee,
+        name: 'Merchandise Order',
+        quantity: totalUnits,
+        items: cartLines,
+        registrationFee,
+        ...pricingFields(pricing),
         amountPaid: total,
-        paymentStatus: needsPayment ? 'PENDING' : 'PAID',
+        paymentStatus: needsPayment ? 'PENDING' : 'APPROVED',
       },
     });
 
+    // Hold the stock now so the last units can't be sold twice; waitlisted orders reserve on promotion
+    if (!isFull) {
+      const { error: stockError } = await reserveOrderStock(registration, event);
+      if (stockError) {
+        await releaseCoupon(registration);
+        return res.status(400).json({ message: stockError });
+      }
+    }
+
+    await saveNewRegistration(registration);
+
+    if (isFull)
+      return respondWaitlisted(res, event, registration);
+
     if (needsPayment) {
+      const reservedMinutes = getReservationMinutes(event);
+
       await createNotification(
         userId,
         'REGISTRATION',
         'Payment Required',
-        `Order placed for ${event.title}. Please upload payment proof of ₹${total} to confirm.`,
+        `Order placed for ${event.title}. Your items are reserved for ${reservedMinutes} minutes - please upload payment proof of ₹${total} to confirm.`,
         id,
         null,
         null,
@@ -513,10 +676,11 @@ exports.registerForMerchEvent = async (req, res) => {
       );
 
       return res.status(201).json({
-        message: `Order placed. Please upload payment proof of ₹${total} (₹${registrationFee} registration + ₹${merchandiseFee}×${order.quantity} merchandise).`,
+        message: `Order placed. Please upload payment proof of ₹${total} (₹${registrationFee} registration + ₹${merchTotal} for ${totalUnits} merchandise item(s)${pricing.discount ? ` - ₹${pricing.discount} discount` : ''}).`,
         registration,
         amountDue: total,
-        breakdown: { registrationFee, merchandiseFee, quantity: order.quantity },
+        breakdown,
+        reservedUntil: registration.order.reservationExpiresAt,
       });
     }
 
@@ -564,7 +728,7 @@ exports.registerForMerchEvent = async (req, res) => {
       message: 'Registered successfully (no payment required)',
       registration,
       amountDue: 0,
-      breakdown: { registrationFee, merchandiseFee, quantity: order.quantity },
+      breakdown,
     });
   } catch (error) {
     return res.status(500).json({ message: 'Server error', error: error.message });
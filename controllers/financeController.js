@@ -0,0 +1,127 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { parseDateRange, buildFinanceReport, buildSettlementRows, toSettlementCsv } = require('../utils/finance');
+
+/**
+ * Load the events a finance request covers: one event (req.params.id) or all of the organizer's.
+ * Resolves to { events, registrations, range } or { status, error }.
+ */
+const loadFinanceData = async (req, { populateParticipants = false } = {}) => {
+    const { range, error: rangeError } = parseDateRange(req.query);
+    if (rangeError)
+        return { status: 400, error: rangeError };
+
+    let events;
+    if (req.params.id) {
+        const event = await Event.findById(req.params.id);
+        if (!event)
+            return { status: 404, error: 'Event not found' };
+
+        if (event.organizerId.toString() !== req.user.id)
+            return { status: 403, error: 'Forbidden: You are not the organizer of this event' };
+
+        events = [event];
+    } else {
+        events = await Event.find({ organizerId: req.user.id }).sort({ eventStartDate: 1 });
+    }
+
+    let query = Registration.find({ eventId: { $in: events.map(e => e._id) } });
+    if (populateParticipants)
+        query = query.populate('participantId', 'email participantProfile');
+    const registrations = await query;
+
+    return { events, registrations, range };
+};
+
+const eventMap = (events) => new Map(events.map(e => [e._id.toString(), e]));
+
+// Organizer: revenue by category, SKU/variant and day, payment status totals and refunds for one event
+exports.getEventFinance = async (req, res) => {
+    try {
+        const { events, registrations, range, status, error } = await loadFinanceData(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        res.status(200).json({
+            eventId: events[0]._id,
+            title: events[0].title,
+            from: range.from || null,
+            to: range.to || null,
+            report: buildFinanceReport(registrations, eventMap(events), range),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: the same report across all their events, with each event's totals
+exports.getOrganizerFinance = async (req, res) => {
+    try {
+        const { events, registrations, range, status, error } = await loadFinanceData(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const byEvent = eventMap(events);
+        const perEvent = events.map(event => {
+            const eventRegistrations = registrations.filter(r => r.eventId.toString() === event._id.toString());
+            const { totals, byPaymentStatus } = buildFinanceReport(eventRegistrations, byEvent, range);
+            return {
+                eventId: event._id,
+                title: event.title,
+                status: event.status,
+                eventStartDate: event.eventStartDate,
+                totals,
+                pendingAmount: byPaymentStatus.PENDING.amount,
+            };
+        });
+
+        res.status(200).json({
+            from: range.from || null,
+            to: range.to || null,
+            report: buildFinanceReport(registrations, byEvent, range),
+            events: perEvent,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: every payment and refund, oldest first, as CSV (default) or JSON (?format=json)
+exports.exportSettlement = async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format))
+            return res.status(400).json({ message: 'format must be csv or json' });
+
+        const { events, registrations, range, status, error } = await loadFinanceData(req, { populateParticipants: true });
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const rows = buildSettlementRows(registrations, eventMap(events), range);
+        const name = req.params.id ? `event_${req.params.id}_settlement` : 'settlement';
+
+        if (format === 'json') {
+            const collected = rows.filter(r => r.amount > 0).reduce((sum, r) => sum + r.amount, 0);
+            const refunded = rows.filter(r => r.amount < 0).reduce((sum, r) => sum - r.amount, 0);
+            return res.status(200).json({
+                from: range.from || null,
+                to: range.to || null,
+                generatedAt: new Date().toISOString(),
+                summary: {
+                    payments: rows.filter(r => r.type === 'PAYMENT').length,
+                    refunds: rows.filter(r => r.type !== 'PAYMENT').length,
+                    collected: Math.round(collected * 100) / 100,
+                    refunded: Math.round(refunded * 100) / 100,
+                    net: rows.length > 0 ? rows[rows.length - 1].balance : 0,
+                },
+                rows,
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+        res.send(toSettlementCsv(rows));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
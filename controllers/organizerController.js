@@ -1,8 +1,20 @@
 const Event = require('../models/Event');
 const Registration = require('../models/Registration');
 const User = require('../models/User');
+const ReminderLog = require('../models/ReminderLog');
 const { createNotification } = require('./notificationController');
-const { sendTicketEmail } = require('../config/mailer');
+const fs = require('fs');
+const path = require('path');
+const { getOrderLines, validateMerchItems } = require('../utils/merchOrder');
+const { promoteFromWaitlist } = require('./waitlistController');
+const { confirmPayment, notifyPaymentConfirmed } = require('./paymentController');
+const { holdsStock, releaseOrderStock } = require('../utils/stockReservation');
+const { normalizeSessions, isRegisteredForSession, hasAttendedSession } = require('../utils/eventSessions');
+const { validateFormSchema } = require('../utils/formValidator');
+const { transitionEventStatus, isAutoClosed, applyScheduledStatus } = require('../utils/eventStatus');
+const { snapshotEvent, trackEventChanges, notifyEventChange } = require('../utils/eventChanges');
+const { normalizeReminderSettings } = require('../utils/reminders');
+const { postToDiscord } = require('../utils/discord');
 
 exports.createEvent = async (req, res) => {
     try {
@@ -13,7 +25,9 @@ exports.createEvent = async (req, res) => {
             eventStartDate, 
             eventEndDate, 
             venue, 
+            sessions,
             maxParticipants, 
+            allowWaitlist,
             registrationDeadline, 
             eligibility, 
             fee,
@@ -21,6 +35,8 @@ exports.createEvent = async (req, res) => {
             tags,
             formSchema,
             items,
+            stockReservationMinutes,
+            reminderSettings,
             allowTeams,
             minTeamSize,
             maxTeamSize
@@ -35,6 +51,26 @@ exports.createEvent = async (req, res) => {
         if (registrationDeadline && eventEndDate && new Date(registrationDeadline) > new Date(eventEndDate))
             return res.status(400).json({ message: 'Registration Deadline must be before or on the Event End Date' });
 
+        const { sessions: normalizedSessions, error: sessionError } = normalizeSessions(sessions);
+        if (sessionError)
+            return res.status(400).json({ message: sessionError });
+
+        const formSchemaError = validateFormSchema(formSchema);
+        if (formSchemaError)
+            return res.status(400).json({ message: formSchemaError });
+
+        const itemsError = validateMerchItems(items);
+        if (itemsError)
+            return res.status(400).json({ message: itemsError });
+
+        let reminders;
+        if (reminderSettings !== undefined) {
+            const { settings, error: reminderError } = normalizeReminderSettings(reminderSettings);
+            if (reminderError)
+                return res.status(400).json({ message: reminderError });
+            reminders = settings;
+        }
+
         const eventData = {
             title,
             description,
@@ -42,13 +78,16 @@ exports.createEvent = async (req, res) => {
             eventStartDate,
             eventEndDate,
             venue,
+            sessions: normalizedSessions,
             maxParticipants,
+            allowWaitlist: allowWaitlist !== false,
             eligibility: eligibility || [],
             fee: fee || 0,
             merchandiseFee: merchandiseFee || 0,
             tags: tags || [],
             organizerId: req.user.id,   
             status: 'DRAFT',
+            ...(reminders && { reminderSettings: reminders }),
         };
 
         // Only add registrationDeadline if it's provided and not empty
@@ -68,6 +107,8 @@ exports.createEvent = async (req, res) => {
             eventData.formSchema = formSchema || [];
         } else if (type === 'MERCH') {
             eventData.items = items || [];
+            if (stockReservationMinutes)
+                eventData.stockReservationMinutes = stockReservationMinutes;
         }
 
         const event = await Event.create(eventData);
@@ -93,15 +134,26 @@ exports.editEvent = async (req, res) => {
 
         // Define allowed fields based on event status
         let allowedFields = [];
+        const limitedEdit = event.status === 'PUBLISHED' || isAutoClosed(event);
         
         if (event.status === 'DRAFT') {
             // Draft events: full edit access (except status and organizer)
             allowedFields = ['title', 'description', 'type', 'eventStartDate', 'eventEndDate', 
-                           'venue', 'maxParticipants', 'registrationDeadline', 'eligibility', 
-                           'fee', 'merchandiseFee', 'tags', 'formSchema', 'items', 'allowTeams', 'minTeamSize', 'maxTeamSize'];
-        } else if (event.status === 'PUBLISHED') {
-            // Published events: limited edit (description, extend deadline, increase limit)
-            allowedFields = ['description', 'registrationDeadline', 'maxParticipants'];
+                           'venue', 'maxParticipants', 'allowWaitlist', 'registrationDeadline', 'eligibility', 
+                           'fee', 'merchandiseFee', 'tags', 'formSchema', 'formLocked', 'items', 'stockReservationMinutes', 'allowTeams', 'minTeamSize', 'maxTeamSize', 'sessions'];
+        } else if (limitedEdit) {
+            // Published or auto-closed events: limited edit (registrants are told about date and venue changes)
+            allowedFields = ['description', 'eventStartDate', 'eventEndDate', 'venue', 'registrationDeadline', 'maxParticipants', 'allowWaitlist', 'formSchema', 'formLocked', 'stockReservationMinutes'];
+
+            const rescheduled = ['eventStartDate', 'eventEndDate'].some(field =>
+                updates[field] && (!event[field] || new Date(updates[field]).getTime() !== new Date(event[field]).getTime()));
+
+            // Session times drive check-in, reminders and calendars and aren't moved along with the event
+            if (rescheduled && event.sessions.length > 0)
+                return res.status(400).json({ message: 'Events with sessions cannot be rescheduled once published' });
+
+            if (rescheduled && updates.eventStartDate && new Date(updates.eventStartDate) <= new Date())
+                return res.status(400).json({ message: 'A published event cannot be moved to a start date in the past' });
             
             // Validate maxParticipants can only increase
             if (updates.maxParticipants && event.maxParticipants && 
@@ -110,6 +162,17 @@ exports.editEvent = async (req, res) => {
             }
         }
 
+        if (updates.eventStartDate || updates.eventEndDate) {
+            const startDate = updates.eventStartDate ? new Date(updates.eventStartDate) : event.eventStartDate;
+            const endDate = updates.eventEndDate ? new Date(updates.eventEndDate) : event.eventEndDate;
+            if (startDate && endDate && endDate < startDate)
+                return res.status(400).json({ message: 'Event End Date must be after Event Start Date' });
+
+            // An earlier end can't leave the current deadline after it
+            if (updates.eventEndDate && !updates.registrationDeadline && event.registrationDeadline && new Date(event.registrationDeadline) > endDate)
+                return res.status(400).json({ message: 'Registration Deadline must be before or on the Event End Date' });
+        }
+
         // Validate registrationDeadline against event end date (applies to all statuses)
         if (updates.registrationDeadline) {
             const deadlineDate = new Date(updates.registrationDeadline);
@@ -117,14 +180,14 @@ exports.editEvent = async (req, res) => {
             if (endDate && deadlineDate > endDate) {
                 return res.status(400).json({ message: 'Registration Deadline must be before or on the Event End Date' });
             }
-        } else if (['ONGOING', 'COMPLETED', 'CLOSED'].includes(event.status)) {
-            // Ongoing/Completed/Closed: no edits allowed
+        } else if (['ONGOING', 'COMPLETED', 'CLOSED'].includes(event.status) && !limitedEdit) {
+            // Ongoing/Completed/manually Closed: no edits allowed
             return res.status(400).json({ message: `Cannot edit ${event.status.toLowerCase()} events` });
         } else if (event.status === 'CANCELLED') {
             return res.status(400).json({ message: 'Cannot edit cancelled events' });
         }
 
-        if (event.formLocked && updates.formSchema)
+        if (event.formLocked && updates.formSchema && updates.formLocked !== false)
             return res.status(400).json({ message: 'Form schema is locked and cannot be edited' });
         
         // Clean up empty strings and undefined values from updates, filter by allowed fields
@@ -135,12 +198,108 @@ exports.editEvent = async (req, res) => {
             }
         });
         
+        let newRequiredFields = [];
+        if (cleanedUpdates.formSchema) {
+            const formSchemaError = validateFormSchema(cleanedUpdates.formSchema);
+            if (formSchemaError)
+                return res.status(400).json({ message: formSchemaError });
+
+            // Once people have answered the form, edits become a new version instead of rewriting history
+            const hasRegistrations = await Registration.exists({ eventId: id });
+            const previousFields = event.formSchema.map(f => f.toObject());
+            event.formSchema = cleanedUpdates.formSchema; // cast through the schema so the comparison is like-for-like
+            const formChanged = JSON.stringify(previousFields) !== JSON.stringify(event.formSchema.map(f => f.toObject()));
+
+            if (hasRegistrations && formChanged) {
+                event.formVersions.push({
+                    version: event.formVersion || 1,
+                    fields: previousFields,
+                    createdAt: event.formVersionCreatedAt || event.createdAt,
+                    supersededAt: new Date(),
+                });
+                event.formVersion = (event.formVersion || 1) + 1;
+                event.formVersionCreatedAt = new Date();
+
+                // Required questions existing registrants haven't answered yet
+                newRequiredFields = cleanedUpdates.formSchema
+                    .filter(f => f.required && !previousFields.some(p => p.fieldId === f.fieldId && p.required))
+                    .map(f => f.fieldId);
+            }
+        }
+
+        if (cleanedUpdates.items) {
+            const itemsError = validateMerchItems(cleanedUpdates.items);
+            if (itemsError)
+                return res.status(400).json({ message: itemsError });
+
+            // Images are managed through their own endpoint - keep them unless the update lists them
+            cleanedUpdates.items = cleanedUpdates.items.map(item => {
+                const current = event.items.find(i => i.sku === item.sku);
+                return item.images === undefined && current ? { ...item, images: current.images } : item;
+            });
+        }
+
+        if (cleanedUpdates.sessions) {
+            const { sessions, error } = normalizeSessions(cleanedUpdates.sessions);
+            if (error)
+                return res.status(400).json({ message: error });
+            cleanedUpdates.sessions = sessions;
+        }
+        
         // Apply cleaned updates to event
+        const before = snapshotEvent(event);
         Object.assign(event, cleanedUpdates);
+        const change = trackEventChanges(event, before, req.user.id);
 
         await event.save();
+
+        if (change) {
+            // Start reminders count down to the new start date
+            if (change.changes.some(c => c.field === 'eventStartDate'))
+                await ReminderLog.deleteMany({ eventId: event._id, kind: 'EVENT_START' });
+            await notifyEventChange(event, change);
+        }
+
+        // A raised participant limit frees seats for waitlisted registrations
+        if (cleanedUpdates.maxParticipants)
+            await promoteFromWaitlist(event._id);
+
+        // Optionally ask existing registrants to answer newly added required questions
+        let registrantsAsked = 0;
+        if (updates.askExistingRegistrants && newRequiredFields.length > 0) {
+            const registrations = await Registration.find({
+                eventId: id,
+                status: { $in: ['PENDING', 'CONFIRMED', 'WAITLISTED'] },
+            });
+
+            for (const registration of registrations) {
+                const answered = registration.formResponse || {};
+                const missing = newRequiredFields.filter(fieldId => answered[fieldId] === undefined);
+                if (missing.length === 0) continue;
+
+                registration.pendingFormFields = [...new Set([...(registration.pendingFormFields || []), ...missing])];
+                await registration.save();
+                registrantsAsked++;
+
+                await createNotification({
+                    userId: registration.participantId,
+                    type: 'EVENT_UPDATE',
+                    title: 'More Information Needed',
+                    message: `${event.title} added new questions to its registration form. Please answer them from your dashboard.`,
+                    eventId: event._id,
+                    link: '/dashboard',
+                });
+            }
+        }
+
+        // A raised limit or extended deadline reopens an event the scheduler closed
+        const { event: current } = await applyScheduledStatus(event);
         
-        res.json({ message: 'Event updated successfully', event });
+        res.json({
+            message: 'Event updated successfully',
+            event: current || event,
+            ...(cleanedUpdates.formSchema && { formVersion: event.formVersion, registrantsAsked })
+        });
 
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -160,6 +319,9 @@ exports.publishEvent = async (req, res) => {
         if (event.status == 'PUBLISHED')
             return res.status(400).json({ message: 'Event is already published' });
 
+        if (event.status !== 'DRAFT')
+            return res.status(400).json({ message: `A ${event.status} event cannot be published again` });
+
         if (!event.title || !event.eventStartDate)
             return res.status(400).json({ message: 'Title and Event Start Date are required to publish the event' });
 
@@ -168,6 +330,7 @@ exports.publishEvent = async (req, res) => {
             return res.status(400).json({ message: 'Merchandise events must have at least one item' });
 
         event.status = 'PUBLISHED';
+        event.statusChangedAt = new Date();
         await event.save();
 
         // Post to Discord webhook if configured
@@ -224,24 +387,9 @@ exports.publishEvent = async (req, res) => {
                     }]
                 };
 
-                // Send to Discord webhook
-                const https = require('https');
-                const url = new URL(webhookUrl);
-                const postData = JSON.stringify(discordMessage);
-                
-                const options = {
-                    hostname: url.hostname,
-                    path: url.pathname + url.search,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(postData)
-                    }
-                };
-
-                const req = https.request(options);
-                req.write(postData);
-                req.end();
+                // Send to Discord webhook without holding up the response
+                postToDiscord(webhookUrl, discordMessage)
+                    .catch(error => console.error('Failed to post to Discord webhook:', error.message));
             }
         } catch (discordError) {
             // Log Discord error but don't fail the publish operation
@@ -285,72 +433,117 @@ exports.getEventRegistrations = async (req, res) => {
     }
 };
 
-// Check-in participant using QR code
-exports.checkIn = async (req, res) => {
+exports.changeEventStatus = async (req, res) => {
     try {
-        const { id } = req.params; // event ID
-        const { qrPayload } = req.body;
+        const { id } = req.params;
+        const { status } = req.body;
 
-        if (!qrPayload) 
-            return res.status(400).json({ message: 'QR payload is required' });
+        console.log('changeEventStatus called:', { id, status, body: req.body });
 
         const event = await Event.findById(id);
-        if (!event) 
+        if (!event)
             return res.status(404).json({ message: 'Event not found' });
 
         if (event.organizerId.toString() !== req.user.id)
-            return res.status(403).json({ message: 'Not your event' });
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+        
+        // Drafts are published through publishEvent; PUBLISHED here reopens a closed event
+        const validStatus = ['PUBLISHED', 'ONGOING', 'CLOSED', 'COMPLETED', 'CANCELLED'];
+        if (!validStatus.includes(status))
+            return res.status(400).json({ message: 'Invalid status value' });
 
-        // Parse and verify QR payload
-        let payload;
-        try {
-            payload = JSON.parse(qrPayload);
-        } catch (error) {
-            return res.status(400).json({ message: 'Invalid QR payload format' });
-        }
+        if (status === 'PUBLISHED' && event.status === 'DRAFT')
+            return res.status(400).json({ message: 'Use the publish endpoint to publish a draft event' });
+
+        // The scheduler would close it again straight away
+        if (status === 'PUBLISHED' && event.registrationDeadline && new Date(event.registrationDeadline) < new Date())
+            return res.status(400).json({ message: 'The registration deadline has passed. Extend it to reopen registrations.' });
+
+        const { event: updated, error } = await transitionEventStatus(event, status, { closedReason: 'MANUAL', changedBy: req.user.id });
+        if (error)
+            return res.status(400).json({ message: error });
+
+        res.status(200).json({ message: `Event status changed to ${status}`, event: updated });
+    } catch (error) {
+        console.error('changeEventStatus error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+exports.editPublishedEvent = async (req, res) => {
+    try {
+        const {id} = req.params;
+        const {description, registrationDeadline, maxParticipants} = req.body;
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
 
-        // Find registration by ticketId
-        const registration = await Registration.findOne({ 
-            ticketId: payload.registrationId,
-            eventId: id
-        }).populate('participantId', 'email participantProfile');
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
 
-        if (!registration) 
-            return res.status(404).json({ message: 'Registration not found or invalid ticket' });
+        const before = snapshotEvent(event);
+        // Events the scheduler closed when full or at the deadline take the same edits, which can reopen them
+        if (event.status === 'PUBLISHED' || isAutoClosed(event)) {
+            if (description)
+                event.description = description;
+            if (registrationDeadline)
+                event.registrationDeadline = registrationDeadline;
+            if (maxParticipants && maxParticipants >= event.maxParticipants)
+                event.maxParticipants = maxParticipants;
+        } else if (event.status === 'ONGOING' || event.status === 'COMPLETED') 
+            return res.status(400).json({ message: 'Cannot edit ONGOING or COMPLETED events' });
+        else
+            return res.status(400).json({ message: `Cannot edit ${event.status.toLowerCase()} events here` });
+        const change = trackEventChanges(event, before, req.user.id);
         
+        await event.save();
 
-        if (registration.status === 'CANCELLED') 
-            return res.status(400).json({ message: 'Registration has been cancelled' });
+        if (change)
+            await notifyEventChange(event, change);
 
-        if (!registration.attended) {
-            registration.attended = true;
-            registration.attendedAt = new Date();
-            await registration.save();
-        }
+        if (maxParticipants)
+            await promoteFromWaitlist(event._id);
 
-        res.status(200).json({
-            message: registration.attended ? 'Already checked in' : 'Check-in successful',
-            participant: {
-                name: `${registration.participantId.participantProfile.firstname} ${registration.participantId.participantProfile.lastname}`,
-                email: registration.participantId.email,
-                ticketId: registration.ticketId,
-                registeredAt: registration.createdAt,
-                attended: registration.attended,
-                attendedAt: registration.attendedAt
-            }
-        });
+        const { event: current } = await applyScheduledStatus(event);
 
+        res.status(200).json({ message: 'Event updated successfully', event: current || event });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
 
-exports.changeEventStatus = async (req, res) => {
+// Reminder settings for an event, with how many of each reminder have gone out
+exports.getReminderSettings = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
 
-        console.log('changeEventStatus called:', { id, status, body: req.body });
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const sent = await ReminderLog.aggregate([
+            { $match: { eventId: event._id, skipped: false } },
+            { $group: { _id: { kind: '$kind', hoursBefore: '$hoursBefore' }, count: { $sum: 1 }, emailed: { $sum: { $cond: ['$emailed', 1, 0] } } } },
+            { $sort: { '_id.kind': 1, '_id.hoursBefore': -1 } },
+        ]);
+
+        res.status(200).json({
+            reminderSettings: event.reminderSettings,
+            sent: sent.map(s => ({ kind: s._id.kind, hoursBefore: s._id.hoursBefore, count: s.count, emailed: s.emailed })),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Turn reminders on or off and choose when they go out
+exports.updateReminderSettings = async (req, res) => {
+    try {
+        const { id } = req.params;
 
         const event = await Event.findById(id);
         if (!event)
@@ -358,25 +551,72 @@ exports.changeEventStatus = async (req, res) => {
 
         if (event.organizerId.toString() !== req.user.id)
             return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
-        
-        const validStatus = ['ONGOING', 'CLOSED', 'COMPLETED', 'CANCELLED'];
-        if (!validStatus.includes(status))
-            return res.status(400).json({ message: 'Invalid status value' });
 
-        event.status = status;
+        if (['COMPLETED', 'CANCELLED'].includes(event.status))
+            return res.status(400).json({ message: `Cannot change reminders for ${event.status.toLowerCase()} events` });
+
+        const { settings, error } = normalizeReminderSettings(req.body, event.reminderSettings || {});
+        if (error)
+            return res.status(400).json({ message: error });
+
+        event.reminderSettings = settings;
         await event.save();
 
-        res.status(200).json({ message: `Event status changed to ${status}`, event });
+        res.status(200).json({ message: 'Reminder settings updated', reminderSettings: event.reminderSettings });
     } catch (error) {
-        console.error('changeEventStatus error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
 
-exports.editPublishedEvent = async (req, res) => {
+const MAX_IMAGES_PER_ITEM = 5;
+
+// Add uploaded images to a merchandise item
+exports.uploadItemImages = async (req, res) => {
     try {
-        const {id} = req.params;
-        const {description, registrationDeadline, maxParticipants} = req.body;
+        const { id, sku } = req.params;
+        const files = req.files || [];
+
+        const discardUploads = () => files.forEach(f => fs.unlink(f.path, () => {}));
+
+        if (files.length === 0)
+            return res.status(400).json({ message: 'At least one image is required' });
+
+        const event = await Event.findById(id);
+        if (!event) {
+            discardUploads();
+            return res.status(404).json({ message: 'Event not found' });
+        }
+
+        if (event.organizerId.toString() !== req.user.id) {
+            discardUploads();
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+        }
+
+        const item = event.items.find(i => i.sku === sku);
+        if (!item) {
+            discardUploads();
+            return res.status(404).json({ message: 'Item not found in event' });
+        }
+
+        if ((item.images || []).length + files.length > MAX_IMAGES_PER_ITEM) {
+            discardUploads();
+            return res.status(400).json({ message: `An item can have at most ${MAX_IMAGES_PER_ITEM} images` });
+        }
+
+        files.forEach(f => item.images.push(`/uploads/merch/${f.filename}`));
+        await event.save();
+
+        res.status(201).json({ message: 'Images uploaded successfully', sku, images: item.images });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Remove one image from a merchandise item
+exports.deleteItemImage = async (req, res) => {
+    try {
+        const { id, sku } = req.params;
+        const { image } = req.body; // path as returned by the upload
 
         const event = await Event.findById(id);
         if (!event)
@@ -385,19 +625,19 @@ exports.editPublishedEvent = async (req, res) => {
         if (event.organizerId.toString() !== req.user.id)
             return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
 
-        if (event.status === 'PUBLISHED') {
-            if (description)
-                event.description = description;
-            if (registrationDeadline)
-                event.registrationDeadline = registrationDeadline;
-            if (maxParticipants && maxParticipants >= event.maxParticipants)
-                event.maxParticipants = maxParticipants;
-        } else if (event.status === 'ONGOING' || event.status === 'COMPLETED') 
-            return res.status(400).json({ message: 'Cannot edit ONGOING or COMPLETED events' });
-        
+        const item = event.items.find(i => i.sku === sku);
+        if (!item)
+            return res.status(404).json({ message: 'Item not found in event' });
+
+        if (!image || !(item.images || []).includes(image))
+            return res.status(404).json({ message: 'Image not found on this item' });
+
+        item.images = item.images.filter(i => i !== image);
         await event.save();
 
-        res.status(200).json({ message: 'Event updated successfully', event });
+        fs.unlink(path.join(__dirname, '..', 'uploads', 'merch', path.basename(image)), () => {});
+
+        res.status(200).json({ message: 'Image removed', sku, images: item.images });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -416,11 +656,13 @@ exports.getEventAnalytics = async (req, res) => {
         // Calculate total revenue from all registration types
         // Include: NORMAL events (event.fee), MERCH with merch (reg fee + merch fee), MERCH without merch (reg fee only)
         const totalRevenue = registrations
-            .filter(r => r.status !== 'CANCELLED' && r.status !== 'REJECTED')
             .reduce((sum, r) => {
-                if (r.order?.amountPaid && r.order?.paymentStatus === 'APPROVED') {
-                    // MERCH type registrations with payment orders (includes both merch and registration-only)
-                    return sum + r.order.amountPaid;
+                if (r.order) {
+                    // Registrations with payment orders (amountPaid is net of any coupon discount).
+                    // Refunds come off what was collected - a cancelled order keeps whatever was not refunded.
+                    return r.order.paymentStatus === 'APPROVED'
+                        ? sum + (r.order.amountPaid || 0) - (r.order.refundedAmount || 0)
+                        : sum;
                 } else if (r.type === 'NORMAL' && r.status === 'CONFIRMED') {
                     // NORMAL type confirmed registrations (event.fee)
                     return sum + (event.fee || 0);
@@ -428,15 +670,60 @@ exports.getEventAnalytics = async (req, res) => {
                 return sum;
             }, 0);
 
+        // Coupon usage on orders that went through
+        const discountedOrders = registrations.filter(r =>
+            r.order?.couponCode && r.order.paymentStatus === 'APPROVED' && r.status !== 'CANCELLED' && r.status !== 'REJECTED'
+        );
+        const couponUsage = Object.values(discountedOrders.reduce((acc, r) => {
+            const code = r.order.couponCode;
+            acc[code] = acc[code] || { code, uses: 0, totalDiscount: 0 };
+            acc[code].uses += 1;
+            acc[code].totalDiscount += r.order.discount || 0;
+            return acc;
+        }, {}));
+        const totalDiscount = couponUsage.reduce((sum, c) => sum + c.totalDiscount, 0);
+
+        const totalRefunded = registrations.reduce((sum, r) => sum + (r.order?.refundedAmount || 0), 0);
+
+        // Per-session attendance with drop-off between consecutive sessions
+        const activeRegistrations = registrations.filter(r => r.status === 'CONFIRMED' || r.status === 'PENDING');
+        let previousAttended = null;
+        const sessions = (event.sessions || []).map(session => {
+            const registered = activeRegistrations.filter(r => isRegisteredForSession(r, session.sessionId)).length;
+            const attended = registrations.filter(r => hasAttendedSession(r, session.sessionId)).length;
+            const dropOff = previousAttended === null ? 0 : previousAttended - attended;
+            const dropOffRate = previousAttended ? ((dropOff / previousAttended) * 100).toFixed(2) + '%' : '0%';
+            previousAttended = attended;
+
+            return {
+                sessionId: session.sessionId,
+                title: session.title,
+                startTime: session.startTime,
+                capacity: session.capacity || null,
+                registered,
+                attended,
+                attendanceRate: registered > 0 ? ((attended / registered) * 100).toFixed(2) + '%' : '0%',
+                dropOffFromPrevious: dropOff,
+                dropOffRate,
+            };
+        });
+
         const analytics = {
             totalRegistrations: registrations.length,
             confirmedRegistrations: registrations.filter(r => r.status === 'CONFIRMED').length,
             cancelledRegistrations: registrations.filter(r => r.status === 'CANCELLED').length,
             pendingPayments: registrations.filter(r => r.status === 'PENDING').length,
+            waitlisted: registrations.filter(r => r.status === 'WAITLISTED').length,
             attended : registrations.filter(r => r.attended === true).length,
             attendanceRate : registrations.length > 0 ?
                 ((registrations.filter(r => r.attended === true).length / registrations.length) * 100).toFixed(2) + '%' : '0%', // in percentage
             revenue : totalRevenue,
+            grossRevenue : totalRevenue + totalDiscount + totalRefunded, // before coupon discounts and refunds
+            totalDiscount,
+            totalRefunded,
+            pendingRefunds: registrations.filter(r => (r.refunds || []).some(f => f.status === 'REQUESTED')).length,
+            couponUsage,
+            sessions,
         };
 
         res.status(200).json({ eventId: id, analytics });
@@ -457,13 +744,18 @@ exports.exportRegistrations = async (req, res) => {
         const registrations = await Registration.find({ eventId: id })
                                     .populate('participantId', 'email participantProfile')
 
-        // Get custom form fields from event
-        const customFields = event.formSchema || [];
-        const customFieldIds = customFields.map(f => f.fieldId);
-        const customFieldLabels = customFields.map(f => f.label);
+        // Merge custom form fields across all form versions (oldest first), labelled by their newest version
+        const versions = [...(event.formVersions || [])]
+            .sort((a, b) => a.version - b.version)
+            .map(v => v.fields)
+            .concat([event.formSchema || []]);
+        const fieldLabels = new Map();
+        versions.forEach(fields => fields.forEach(f => fieldLabels.set(f.fieldId, f.label)));
+        const customFieldIds = [...fieldLabels.keys()];
+        const customFieldLabels = [...fieldLabels.values()];
 
         // Prepare CSV data with custom fields
-        let csvHeaders = ['Name', 'Email', 'Registration Date', 'Status', 'Type', 'Attended', 'Attended At'];
+        let csvHeaders = ['Name', 'Email', 'Registration Date', 'Status', 'Type', 'Attended', 'Attended At', 'Form Version', 'Order Items'];
         if (customFieldLabels.length > 0) {
             csvHeaders = csvHeaders.concat(customFieldLabels);
         }
@@ -478,7 +770,13 @@ exports.exportRegistrations = async (req, res) => {
             const attended = reg.attended ? 'Yes' : 'No';
             const attendedAt = reg.attendedAt ? reg.attendedAt.toISOString() : 'N/A';
             
-            let row = [name, email, date, status, type, attended, attendedAt];
+            const formVersion = reg.formVersion || 1;
+            const orderLines = getOrderLines(reg.order);
+            const orderItems = orderLines.length > 0
+                ? orderLines.map(l => `${l.name} (${l.variant?.size}/${l.variant?.color}) x${l.quantity}`).join('; ')
+                : 'N/A';
+            
+            let row = [name, email, date, status, type, attended, attendedAt, formVersion, orderItems];
             
             // Add custom field values
             if (customFieldIds.length > 0 && reg.formResponse) {
@@ -511,12 +809,35 @@ exports.getAttendanceList = async (req, res) => {
         if (!event || event.organizerId.toString() !== req.user.id)
             return res.status(404).json({ message: 'Event not found' });
 
-        const attendees = await Registration.find({ eventId: id, attended: true })
+        const { sessionId } = req.query; // optional: attendance for a single session
+
+        if (sessionId && !(event.sessions || []).some(s => s.sessionId === sessionId))
+            return res.status(404).json({ message: 'Session not found' });
+
+        const filter = sessionId
+            ? { eventId: id, 'sessionAttendance.sessionId': sessionId }
+            : { eventId: id, attended: true };
+
+        const attendees = await Registration.find(filter)
                                     .populate('participantId', 'email participantProfile')
-                                    .select('ticketId attendedAt participantId')
+                                    .select('ticketId attendedAt participantId sessionIds sessionAttendance')
                                     .sort({ attendedAt : -1 }); // Most recent first
 
-        res.status(200).json({ count: attendees.length, attendees });
+        // Attendance count per session for multi-session events
+        let sessions;
+        if (event.sessions && event.sessions.length > 0) {
+            const registrations = await Registration.find({ eventId: id, status: { $in: ['CONFIRMED', 'PENDING'] } })
+                                        .select('sessionIds sessionAttendance');
+            sessions = event.sessions.map(session => ({
+                sessionId: session.sessionId,
+                title: session.title,
+                startTime: session.startTime,
+                registered: registrations.filter(r => isRegisteredForSession(r, session.sessionId)).length,
+                attended: registrations.filter(r => hasAttendedSession(r, session.sessionId)).length,
+            }));
+        }
+
+        res.status(200).json({ count: attendees.length, attendees, ...(sessions && { sessions }) });
     } catch (error) {          
         res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -526,7 +847,7 @@ exports.getAttendanceList = async (req, res) => {
 exports.getPaymentApprovals = async (req, res) => {
     try {
         const { id } = req.params; // event ID
-        const { status } = req.query; // optional filter: PENDING, APPROVED, REJECTED
+        const { status, sku, from, to } = req.query; // optional filters: payment status, item SKU, order date range
 
         const event = await Event.findById(id);
         if (!event)
@@ -540,17 +861,148 @@ exports.getPaymentApprovals = async (req, res) => {
         if (status) {
             filter['order.paymentStatus'] = status;
         }
+        if (sku) {
+            filter.$or = [{ 'order.sku': sku }, { 'order.items.sku': sku }];
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+            if (Object.values(filter.createdAt).some(d => isNaN(d)))
+                return res.status(400).json({ message: 'from and to must be valid dates' });
+        }
 
         const registrations = await Registration.find(filter)
                                     .populate('participantId', 'email participantProfile')
                                     .sort({ createdAt: -1 }); // Most recent first
 
-        res.status(200).json({ count: registrations.length, registrations });
+        // Look up other orders sharing a screenshot (any event) or a UPI reference (this event)
+        const hashes = [...new Set(registrations.map(r => r.order.paymentProofHash).filter(Boolean))];
+        const references = [...new Set(registrations.map(r => r.order.upiReference).filter(Boolean))];
+        const lookalikes = hashes.length > 0 || references.length > 0
+            ? await Registration.find({
+                $or: [
+                    { 'order.paymentProofHash': { $in: hashes } },
+                    { eventId: id, 'order.upiReference': { $in: references } },
+                ],
+            }).select('eventId ticketId participantId status order.paymentProofHash order.upiReference')
+            : [];
+
+        const describe = (reg, other) => ({
+            registrationId: other._id,
+            ticketId: other.ticketId,
+            eventId: other.eventId,
+            status: other.status,
+            sameParticipant: !!reg.participantId && other.participantId?.toString() === reg.participantId._id.toString(),
+        });
+
+        const withWarnings = registrations.map(reg => {
+            const warnings = [];
+            const others = lookalikes.filter(o => !o._id.equals(reg._id));
+
+            const sameImage = reg.order.paymentProofHash
+                ? others.filter(o => o.order?.paymentProofHash === reg.order.paymentProofHash)
+                : [];
+            if (sameImage.length > 0)
+                warnings.push({
+                    code: 'DUPLICATE_PROOF_IMAGE',
+                    message: `The same payment screenshot was uploaded for ${sameImage.length} other order(s)`,
+                    registrations: sameImage.map(o => describe(reg, o)),
+                });
+
+            const sameReference = reg.order.upiReference
+                ? others.filter(o => o.eventId.equals(reg.eventId) && o.order?.upiReference === reg.order.upiReference)
+                : [];
+            if (sameReference.length > 0)
+                warnings.push({
+                    code: 'DUPLICATE_UPI_REFERENCE',
+                    message: `UPI reference ${reg.order.upiReference} is also on ${sameReference.length} other order(s)`,
+                    registrations: sameReference.map(o => describe(reg, o)),
+                });
+
+            if (reg.order.paymentProof && !reg.order.upiReference)
+                warnings.push({ code: 'MISSING_UPI_REFERENCE', message: 'No UPI transaction reference was provided' });
+
+            return { ...reg.toObject(), warnings };
+        });
+
+        const flagged = withWarnings.filter(r => r.warnings.some(w => w.code !== 'MISSING_UPI_REFERENCE')).length;
+
+        res.status(200).json({ count: withWarnings.length, flagged, registrations: withWarnings });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
 
+// Why a registration's payment can't be approved right now (null if it can)
+const approvalBlocker = (registration) => {
+    if (!registration.order)
+        return 'This registration does not have a payment order';
+
+    if (registration.order.paymentStatus === 'APPROVED')
+        return 'Payment has already been approved';
+
+    if (registration.status === 'WAITLISTED')
+        return 'Registration is on the waitlist and has no seat yet';
+
+    if (registration.status === 'CANCELLED')
+        return 'Registration has been cancelled';
+
+    // Its seat may have gone to the waitlist; re-uploading proof checks capacity again
+    if (registration.status === 'REJECTED')
+        return 'Payment was rejected; the participant must re-upload proof';
+
+    // Online payments that could not be applied automatically are approved here too
+    if (!registration.order.paymentProof && !registration.order.providerPaymentId)
+        return 'No payment proof has been uploaded yet';
+
+    return null;
+};
+
+const rejectionBlocker = (registration) => {
+    if (!registration.order)
+        return 'This registration does not have a payment order';
+
+    if (registration.order.paymentStatus === 'APPROVED')
+        return 'Cannot reject an approved payment';
+
+    if (registration.order.paymentStatus === 'REJECTED')
+        return 'Payment has already been rejected';
+
+    // Cancelled (or waitlisted) registrations have already given back their seat and coupon
+    if (!['PENDING', 'CONFIRMED'].includes(registration.status))
+        return `Cannot reject the payment of a ${registration.status.toLowerCase()} registration`;
+
+    return null;
+};
+
+/**
+ * Reject a registration's payment (the caller notifies and refills the waitlist).
+ * Resolves to whether the registration was holding a seat.
+ */
+const applyPaymentRejection = async (registration, reason) => {
+    // Rejected orders stop holding stock; re-uploading proof reserves it again
+    await releaseOrderStock(registration);
+
+    registration.order.paymentStatus = 'REJECTED';
+    registration.order.rejectionReason = reason || 'Payment proof rejected by organizer';
+    const heldSeat = registration.status === 'PENDING' || registration.status === 'CONFIRMED';
+    registration.status = 'REJECTED';
+    await registration.save();
+
+    return heldSeat;
+};
+
+const notifyPaymentRejected = (registration, event, reason) =>
+    createNotification({
+        userId: registration.participantId,
+        type: 'REGISTRATION',
+        title: 'Payment Rejected',
+        message: `Your payment for ${event.title} was rejected. Reason: ${reason || 'Please re-upload a valid payment proof'}. Re-upload from your dashboard.`,
+        eventId: event._id,
+        link: '/dashboard',
+    });
+
 // Approve payment for merchandise order
 exports.approvePayment = async (req, res) => {
     try {
@@ -567,77 +1019,15 @@ exports.approvePayment = async (req, res) => {
         if (event.organizerId.toString() !== req.user.id)
             return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
 
-        if (!registration.order)
-            return res.status(400).json({ message: 'This registration does not have a payment order' });
-
-        if (registration.order.paymentStatus === 'APPROVED')
-            return res.status(400).json({ message: 'Payment has already been approved' });
+        const blocker = approvalBlocker(registration);
+        if (blocker)
+            return res.status(400).json({ message: blocker });
 
-        if (!registration.order.paymentProof)
-            return res.status(400).json({ message: 'No payment proof has been uploaded yet' });
-
-        // Only decrement stock for actual merchandise orders (not registration-fee-only orders)
-        const isRegistrationFeeOnly = registration.order.sku === 'REGISTRATION_FEE';
-        if (!isRegistrationFeeOnly) {
-            const item = event.items.find(i => i.sku === registration.order.sku);
-            if (!item)
-                return res.status(404).json({ message: 'Item not found in event' });
-
-            const variant = item.variants.find(v =>
-                v.size === registration.order.variant.size &&
-                v.color === registration.order.variant.color
-            );
-            if (!variant)
-                return res.status(404).json({ message: 'Variant not found' });
-
-            if (variant.stock < registration.order.quantity)
-                return res.status(400).json({ message: 'Insufficient stock available' });
-
-            variant.stock -= registration.order.quantity;
-            await event.save();
-        }
-
-        // Generate QR code payload
-        const qrPayload = JSON.stringify({
-            registrationId: registration.ticketId,
-            eventId: registration.eventId,
-            participantId: registration.participantId,
-            timestamp: new Date().toISOString(),
-        });
-
-        // Update registration
-        registration.order.paymentStatus = 'APPROVED';
-        registration.status = 'CONFIRMED';
-        registration.qrPayload = qrPayload;
-        await registration.save();
-
-        // Send notification and ticket email to participant
-        await createNotification(
-            registration.participantId,
-            'REGISTRATION',
-            'Payment Approved – Ticket Ready',
-            `Your payment for ${event.title} has been approved. Your ticket is ready!`,
-            event._id,
-            null,
-            null,
-            `/events/${event._id}`
-        );
-
-        const participant = await User.findById(registration.participantId);
-        if (participant) {
-            const participantName = participant.participantProfile
-                ? `${participant.participantProfile.firstname || ''} ${participant.participantProfile.lastname || ''}`.trim()
-                : '';
-            sendTicketEmail({
-                to: participant.email,
-                participantName,
-                eventTitle: event.title,
-                eventDate: event.eventStartDate,
-                venue: event.venue,
-                ticketId: registration.ticketId,
-                qrPayload,
-            });
-        }
+        // Stock is normally reserved when the order is placed; orders whose reservation
+        // lapsed (or that were promoted from the waitlist) take it now
+        const { error, status } = await confirmPayment(registration, event);
+        if (error)
+            return res.status(status).json({ message: error });
 
         res.status(200).json({
             message: 'Payment approved. Ticket generated and emailed to participant.',
@@ -665,29 +1055,18 @@ exports.rejectPayment = async (req, res) => {
         if (event.organizerId.toString() !== req.user.id)
             return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
 
-        if (!registration.order)
-            return res.status(400).json({ message: 'This registration does not have a payment order' });
+        const blocker = rejectionBlocker(registration);
+        if (blocker)
+            return res.status(400).json({ message: blocker });
 
-        if (registration.order.paymentStatus === 'APPROVED')
-            return res.status(400).json({ message: 'Cannot reject an approved payment' });
+        const heldSeat = await applyPaymentRejection(registration, reason);
 
-        // Update registration
-        registration.order.paymentStatus = 'REJECTED';
-        registration.order.rejectionReason = reason || 'Payment proof rejected by organizer';
-        registration.status = 'REJECTED';
-        await registration.save();
+        // The rejected registration's seat goes to the next person on the waitlist
+        if (heldSeat)
+            await promoteFromWaitlist(event._id);
 
         // Notify participant of rejection
-        await createNotification(
-            registration.participantId,
-            'REGISTRATION',
-            'Payment Rejected',
-            `Your payment for ${event.title} was rejected. Reason: ${reason || 'Please re-upload a valid payment proof'}. Re-upload from your dashboard.`,
-            event._id,
-            null,
-            null,
-            `/dashboard`
-        );
+        await notifyPaymentRejected(registration, event, reason);
 
         res.status(200).json({
             message: 'Payment rejected. Participant notified.',
@@ -696,4 +1075,162 @@ exports.rejectPayment = async (req, res) => {
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
-};
\ No newline at end of file
+};
+
+const MAX_BULK_PAYMENTS = 500;
+
+// Load the registrations named in a bulk request, all of which must belong to the organizer's event
+const loadBulkPayments = async (req) => {
+    const { id } = req.params; // event ID
+    const { registrationIds } = req.body;
+
+    if (!Array.isArray(registrationIds) || registrationIds.length === 0)
+        return { status: 400, error: 'registrationIds must be a non-empty array' };
+
+    if (registrationIds.length > MAX_BULK_PAYMENTS)
+        return { status: 400, error: `At most ${MAX_BULK_PAYMENTS} registrations can be processed at once` };
+
+    const event = await Event.findById(id);
+    if (!event)
+        return { status: 404, error: 'Event not found' };
+
+    if (event.organizerId.toString() !== req.user.id)
+        return { status: 403, error: 'Forbidden: You are not the organizer of this event' };
+
+    const uniqueIds = [...new Set(registrationIds.map(String))];
+    const validIds = uniqueIds.filter(rid => /^[a-f\d]{24}$/i.test(rid));
+
+    // Oldest orders first, so they get the stock when the batch wants more than is left
+    const registrations = await Registration.find({ _id: { $in: validIds }, eventId: id }).sort({ createdAt: 1 });
+
+    const found = new Set(registrations.map(r => r._id.toString()));
+    const missing = uniqueIds.filter(rid => !found.has(rid));
+
+    return { event, registrations, missing };
+};
+
+// Approve many payments in one go, reporting the outcome for each
+exports.bulkApprovePayments = async (req, res) => {
+    try {
+        const { event, registrations, missing, status, error } = await loadBulkPayments(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const results = missing.map(rid => ({ registrationId: rid, success: false, message: 'Registration not found for this event' }));
+
+        // Stock the whole batch needs on top of what its orders already hold
+        const demand = new Map();
+        registrations
+            .filter(r => !approvalBlocker(r) && !holdsStock(r.order))
+            .forEach(r => getOrderLines(r.order).forEach(line => {
+                const key = `${line.sku}|${line.variant?.size}|${line.variant?.color}`;
+                const entry = demand.get(key) || { sku: line.sku, name: line.name, variant: line.variant, requested: 0 };
+                entry.requested += line.quantity;
+                demand.set(key, entry);
+            }));
+
+        const stockShortfall = [...demand.values()]
+            .map(entry => {
+                const item = event.items.find(i => i.sku === entry.sku);
+                const variant = item?.variants.find(v => v.size === entry.variant?.size && v.color === entry.variant?.color);
+                return { ...entry, available: variant?.stock || 0 };
+            })
+            .filter(entry => entry.requested > entry.available);
+
+        const approved = [];
+        for (const registration of registrations) {
+            const blocker = approvalBlocker(registration);
+            if (blocker) {
+                results.push({ registrationId: registration._id, success: false, message: blocker });
+                continue;
+            }
+
+            // Stock is taken atomically per order, so later orders fail cleanly once a variant runs out
+            const { error: confirmError } = await confirmPayment(registration, event, { notify: false });
+            if (confirmError) {
+                results.push({ registrationId: registration._id, success: false, message: confirmError });
+                continue;
+            }
+
+            approved.push(registration);
+            results.push({ registrationId: registration._id, ticketId: registration.ticketId, success: true });
+        }
+
+        // One notification/email run once the batch is done
+        for (const registration of approved)
+            await notifyPaymentConfirmed(registration, event);
+
+        await createNotification({
+            userId: event.organizerId,
+            type: 'REGISTRATION',
+            title: 'Bulk Approval Complete',
+            message: `${approved.length} of ${results.length} payment(s) for ${event.title} were approved.`,
+            eventId: event._id,
+            link: `/organizer/events/${event._id}`,
+        });
+
+        res.status(200).json({
+            message: `${approved.length} of ${results.length} payment(s) approved`,
+            approved: approved.length,
+            failed: results.length - approved.length,
+            stockShortfall,
+            results,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Reject many payments in one go, reporting the outcome for each
+exports.bulkRejectPayments = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const { event, registrations, missing, status, error } = await loadBulkPayments(req);
+        if (error)
+            return res.status(status).json({ message: error });
+
+        const results = missing.map(rid => ({ registrationId: rid, success: false, message: 'Registration not found for this event' }));
+
+        const rejected = [];
+        let seatsFreed = 0;
+        for (const registration of registrations) {
+            const blocker = rejectionBlocker(registration);
+            if (blocker) {
+                results.push({ registrationId: registration._id, success: false, message: blocker });
+                continue;
+            }
+
+            if (await applyPaymentRejection(registration, reason))
+                seatsFreed++;
+
+            rejected.push(registration);
+            results.push({ registrationId: registration._id, success: true });
+        }
+
+        // Refill freed seats once, then notify
+        if (seatsFreed > 0)
+            await promoteFromWaitlist(event._id);
+
+        for (const registration of rejected)
+            await notifyPaymentRejected(registration, event, reason);
+
+        await createNotification({
+            userId: event.organizerId,
+            type: 'REGISTRATION',
+            title: 'Bulk Rejection Complete',
+            message: `${rejected.length} of ${results.length} payment(s) for ${event.title} were rejected.`,
+            eventId: event._id,
+            link: `/organizer/events/${event._id}`,
+        });
+
+        res.status(200).json({
+            message: `${rejected.length} of ${results.length} payment(s) rejected`,
+            rejected: rejected.length,
+            failed: results.length - rejected.length,
+            results,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -1,6 +1,12 @@
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const crypto = require('crypto');
+const fs = require('fs');
+const { promoteFromWaitlist, countOccupiedSeats, getWaitlistPosition } = require('./waitlistController');
+const { releaseCoupon } = require('./couponController');
+const { holdsStock, reserveOrderStock, releaseOrderStock } = require('../utils/stockReservation');
+const { validateFormResponse } = require('../utils/formValidator');
 
 
 exports.getMyRegistrations = async (req, res) => {
@@ -10,7 +16,7 @@ exports.getMyRegistrations = async (req, res) => {
         const registraions = await Registration.find({ participantId: userId })
                                 .populate({
                                     path : 'eventId',
-                                    select : 'title description eventStartDate eventEndDate venue maxParticipants type',
+                                    select : 'title description eventStartDate eventEndDate venue maxParticipants type formSchema formVersion',
                                     populate : {
                                         path : 'organizerId',
                                         select : 'organizerProfile.name organizerProfile.contactEmail'
@@ -18,7 +24,15 @@ exports.getMyRegistrations = async (req, res) => {
                                 })
                                 .sort({ createdAt : -1 }); // Most recent first
 
-        res.status(200).json(registraions);
+        // Attach queue position to waitlisted entries
+        const withPositions = await Promise.all(
+            registraions.map(async (reg) => {
+                if (reg.status !== 'WAITLISTED') return reg;
+                return { ...reg.toObject(), waitlistPosition: await getWaitlistPosition(reg) };
+            })
+        );
+
+        res.status(200).json(withPositions);
 
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -40,40 +54,87 @@ exports.cancelRegistration = async (req, res) => {
         if (registration.status === 'CANCELLED')
             return res.status(400).json({ message: 'Registration is already cancelled' });
 
-        // For merchandise orders with approved payment, prevent cancellation after approval
-        if (registration.type === 'MERCH' && registration.order?.paymentStatus === 'APPROVED') {
-            return res.status(400).json({ message: 'Cannot cancel approved merchandise orders. Please contact the organizer.' });
+        // Paid orders that were approved are cancelled through a refund request the organizer reviews
+        if (registration.order?.paymentStatus === 'APPROVED' && (registration.order.amountPaid || 0) > 0) {
+            return res.status(400).json({ message: 'This order has been paid. Please request a cancellation and refund instead.' });
         }
 
+        const wasWaitlisted = registration.status === 'WAITLISTED';
+        const heldSeat = registration.status === 'PENDING' || registration.status === 'CONFIRMED';
+
         registration.status = 'CANCELLED';
         await registration.save();
 
-        // Only restore stock for MERCH orders that had APPROVED payment (stock was decremented)
-        if (registration.type === 'MERCH' && registration.order?.paymentStatus === 'APPROVED') {
-            const event = await Event.findById(registration.eventId);
-            if (event) {
-                const item = event.items.find(i => i.sku === registration.order.sku);
-
-                if (item) {
-                    const variant = item.variants.find(v => 
-                        v.size === registration.order.variant.size && 
-                        v.color === registration.order.variant.color
-                    );
-                    if (variant) {
-                        variant.stock += registration.order.quantity;
-                        await event.save();
-                    }
-                }
-            }
-        }
+        // A cancelled order no longer counts against its coupon's usage cap
+        await releaseCoupon(registration);
+
+        // Give back any stock the order was holding
+        await releaseOrderStock(registration);
 
-        res.status(200).json({ message: 'Registration cancelled successfully', registration });
+        // Hand the freed seat to the next person on the waitlist
+        if (heldSeat)
+            await promoteFromWaitlist(registration.eventId);
+
+        res.status(200).json({
+            message: wasWaitlisted ? 'You have left the waitlist' : 'Registration cancelled successfully',
+            registration
+        });
 
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message })
     };
 };
 
+// Answer questions the organizer added to the form after this registration was made
+exports.answerPendingFormFields = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params; // registration ID
+        const { formData } = req.body;
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== userId)
+            return res.status(403).json({ message: 'Forbidden: You can only update your own registrations' });
+
+        if (!registration.pendingFormFields || registration.pendingFormFields.length === 0)
+            return res.status(400).json({ message: 'There are no pending questions for this registration' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        // Validate against the current form, using existing answers for visibility rules
+        const existing = registration.formResponse || {};
+        const { errors, values } = validateFormResponse(event.formSchema, { ...existing, ...(formData || {}) }, { uploaderId: userId });
+
+        const pending = registration.pendingFormFields;
+        const pendingErrors = {};
+        pending.forEach(fieldId => {
+            if (errors[fieldId]) pendingErrors[fieldId] = errors[fieldId];
+        });
+        if (Object.keys(pendingErrors).length > 0)
+            return res.status(400).json({ message: 'Please correct the highlighted form fields', errors: pendingErrors });
+
+        const updatedResponse = { ...existing };
+        pending.forEach(fieldId => {
+            if (values[fieldId] !== undefined) updatedResponse[fieldId] = values[fieldId];
+        });
+
+        registration.formResponse = updatedResponse;
+        registration.formVersion = event.formVersion || 1;
+        registration.pendingFormFields = [];
+        registration.markModified('formResponse');
+        await registration.save();
+
+        res.status(200).json({ message: 'Form answers updated successfully', registration });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 exports.getProfile = async (req, res) => {
     try {
         const userId = req.user.id;
@@ -307,6 +368,8 @@ exports.getFollowedOrganizers = async (req, res) => {
 };
 
 // Upload payment proof for merchandise order
+const UPI_REFERENCE_REGEX = /^[A-Z0-9]{6,35}$/;
+
 exports.uploadPaymentProof = async (req, res) => {
     try {
         const userId = req.user.id;
@@ -333,17 +396,93 @@ exports.uploadPaymentProof = async (req, res) => {
             return res.status(400).json({ message: 'Payment has already been approved' });
         }
 
+        // Optional UPI transaction reference (UTR) - one order per reference within an event
+        const upiReference = req.body.upiReference ? String(req.body.upiReference).replace(/\s/g, '').toUpperCase() : null;
+        if (upiReference) {
+            if (!UPI_REFERENCE_REGEX.test(upiReference)) {
+                return res.status(400).json({ message: 'UPI reference should be 6-35 letters or digits' });
+            }
+
+            const reused = await Registration.exists({
+                eventId: registration.eventId,
+                'order.upiReference': upiReference,
+                _id: { $ne: registration._id },
+            });
+            if (reused) {
+                return res.status(400).json({ message: 'This UPI transaction reference has already been used for another order' });
+            }
+        }
+
+        const event = await Event.findById(registration.eventId);
+
+        // A rejected registration gave up its seat - reclaim one if free, otherwise rejoin the waitlist
+        if (registration.status === 'REJECTED') {
+            const isFull = !!event?.maxParticipants && (await countOccupiedSeats(registration.eventId)) >= event.maxParticipants;
+
+            if (isFull && event.allowWaitlist) {
+                registration.status = 'WAITLISTED';
+                registration.waitlistedAt = new Date();
+            } else if (isFull) {
+                return res.status(400).json({ message: 'Event has reached maximum participant limit' });
+            } else {
+                registration.status = 'PENDING';
+            }
+        }
+
         // Store file path instead of base64
         const filePath = `/uploads/payments/${req.file.filename}`;
         registration.order.paymentProof = filePath;
         registration.order.paymentStatus = 'PENDING';
+        registration.order.upiReference = upiReference || undefined;
+
+        // Fingerprint the image so organizers can see when the same screenshot is reused
+        const imageData = await fs.promises.readFile(req.file.path);
+        registration.order.paymentProofHash = crypto.createHash('sha256').update(imageData).digest('hex');
+
+        // Proof stops the reservation clock; an order whose reservation lapsed re-reserves what is left
+        if (holdsStock(registration.order)) {
+            registration.order.reservationExpiresAt = undefined;
+        } else if (registration.status === 'PENDING' && event) {
+            const { error: stockError } = await reserveOrderStock(registration, event);
+            if (stockError)
+                return res.status(400).json({ message: `${stockError}. Please contact the organizer.` });
+        }
+
         await registration.save();
 
+        if (registration.status === 'WAITLISTED') {
+            return res.status(200).json({
+                message: `Payment proof uploaded. The event is now full, so you have been placed on the waitlist at position ${await getWaitlistPosition(registration)}.`,
+                registration
+            });
+        }
+
         res.status(200).json({ 
             message: 'Payment proof uploaded successfully. Your order is now pending approval.', 
             registration 
         });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'This UPI transaction reference has already been used for another order' });
+        }
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Upload a file for a "file" field on a registration form; the returned path goes in formData
+exports.uploadFormFile = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'File is required' });
+        }
+
+        res.status(201).json({
+            message: 'File uploaded successfully',
+            filePath: `/uploads/forms/${req.file.filename}`,
+            originalName: req.file.originalname,
+            size: req.file.size
+        });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
-};
\ No newline at end of file
+};
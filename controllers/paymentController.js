@@ -0,0 +1,330 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const PaymentEvent = require('../models/PaymentEvent');
+const { createNotification } = require('./notificationController');
+const { sendTicketEmail } = require('../config/mailer');
+const { signTicket } = require('../utils/ticketSigner');
+const { getOrderLines, findVariant } = require('../utils/merchOrder');
+const { holdsStock, reserveLines } = require('../utils/stockReservation');
+const { getProvider, getActiveProvider } = require('../utils/paymentProviders');
+const { issueReceipt, generateReceiptPdf } = require('../utils/receipt');
+
+const PAYMENT_CURRENCY = 'INR';
+
+// Tell the participant their payment went through and email the ticket with the receipt
+const notifyPaymentConfirmed = async (registration, event) => {
+    const online = !!registration.order.providerPaymentId && !registration.order.paymentProof;
+
+    await createNotification({
+        userId: registration.participantId,
+        type: 'REGISTRATION',
+        title: 'Payment Approved – Ticket Ready',
+        message: `Your payment for ${event.title} has been ${online ? 'received' : 'approved'}. Your ticket is ready!`,
+        eventId: event._id,
+        link: `/events/${event._id}`,
+    });
+
+    const participant = await User.findById(registration.participantId);
+    if (participant) {
+        const participantName = participant.participantProfile
+            ? `${participant.participantProfile.firstname || ''} ${participant.participantProfile.lastname || ''}`.trim()
+            : '';
+
+        // A missing receipt should not hold back the ticket
+        let receipt;
+        if (registration.order.receiptNumber) {
+            try {
+                const organizer = await User.findById(event.organizerId);
+                receipt = {
+                    filename: `receipt-${registration.order.receiptNumber}.pdf`,
+                    content: await generateReceiptPdf([{ registration, event, organizer, participant }]),
+                };
+            } catch (error) {
+                console.error('Failed to generate receipt:', error.message);
+            }
+        }
+
+        sendTicketEmail({
+            to: participant.email,
+            participantName,
+            eventTitle: event.title,
+            eventDate: event.eventStartDate,
+            venue: event.venue,
+            ticketId: registration.ticketId,
+            qrPayload: registration.qrPayload,
+            receipt,
+        });
+    }
+};
+
+/**
+ * Approve a registration's payment and issue its ticket.
+ * Shared by manual approval (the organizer checked the proof) and gateway webhooks.
+ * Takes stock for orders that are not already holding it - every line or none, and numbers the receipt.
+ * Pass notify: false to send the confirmation later (bulk approvals notify once at the end).
+ * Resolves to { registration } or { status, error }.
+ */
+const confirmPayment = async (registration, event, { providerPaymentId, notify = true } = {}) => {
+    const lines = getOrderLines(registration.order);
+    for (const line of lines) {
+        const { item, variant } = findVariant(event, line);
+        if (!item)
+            return { status: 404, error: `Item ${line.sku} not found in event` };
+
+        if (!variant)
+            return { status: 404, error: `Variant ${line.variant?.size}/${line.variant?.color} of ${item.name} not found` };
+    }
+
+    if (lines.length > 0 && !holdsStock(registration.order)) {
+        const { error: stockError } = await reserveLines(event._id, lines);
+        if (stockError)
+            return { status: 400, error: `Insufficient stock: ${stockError}` };
+        registration.order.stockReserved = true;
+    }
+    registration.order.reservationExpiresAt = undefined;
+
+    // Generate signed QR code payload
+    const qrPayload = signTicket({
+        ticketId: registration.ticketId,
+        eventId: registration.eventId,
+        participantId: registration.participantId,
+    });
+
+    registration.order.paymentStatus = 'APPROVED';
+    registration.order.paidAt = new Date();
+    registration.order.lastPaymentError = undefined;
+    if (providerPaymentId)
+        registration.order.providerPaymentId = providerPaymentId;
+    registration.status = 'CONFIRMED';
+    registration.qrPayload = qrPayload;
+    await registration.save();
+    await issueReceipt(registration);
+
+    if (notify)
+        await notifyPaymentConfirmed(registration, event);
+
+    return { registration };
+};
+
+exports.confirmPayment = confirmPayment;
+exports.notifyPaymentConfirmed = notifyPaymentConfirmed;
+
+/**
+ * Apply one verified, normalized provider notification to its registration.
+ * Returns the outcome recorded on the PaymentEvent.
+ */
+const applyPaymentEvent = async (provider, notification) => {
+    if (!notification.status)
+        return { result: 'IGNORED' };
+
+    const registration = await Registration.findOne({ 'order.providerOrderId': notification.providerOrderId });
+    if (!registration)
+        return { result: 'UNMATCHED' };
+
+    // A provider may only settle orders that were created with it
+    if (registration.order.paymentProvider !== provider.name)
+        return { registrationId: registration._id, result: 'PROVIDER_MISMATCH' };
+
+    const event = await Event.findById(registration.eventId);
+    const outcome = { registrationId: registration._id };
+
+    if (notification.status === 'FAILED') {
+        if (registration.order.paymentStatus === 'APPROVED')
+            return { ...outcome, result: 'ALREADY_APPROVED' };
+
+        registration.order.lastPaymentError = notification.error || 'Payment failed';
+        await registration.save();
+
+        await createNotification({
+            userId: registration.participantId,
+            type: 'REGISTRATION',
+            title: 'Payment Failed',
+            message: `Your payment for ${event?.title || 'your registration'} did not go through. You can try again or upload a payment proof instead.`,
+            eventId: registration.eventId,
+            link: '/dashboard',
+        });
+        return { ...outcome, result: 'PAYMENT_FAILED' };
+    }
+
+    if (registration.order.paymentStatus === 'APPROVED')
+        return { ...outcome, result: 'ALREADY_APPROVED' };
+
+    if (Math.abs((notification.amount || 0) - (registration.order.amountPaid || 0)) > 0.01)
+        return { ...outcome, result: 'AMOUNT_MISMATCH' };
+
+    // Money arrived for a registration that can't take it automatically - leave it to the organizer
+    let reviewReason = null;
+    if (!event)
+        reviewReason = 'event no longer exists';
+    else if (registration.status !== 'PENDING')
+        reviewReason = `registration is ${registration.status.toLowerCase()}`;
+    else {
+        const { error } = await confirmPayment(registration, event, { providerPaymentId: notification.providerPaymentId });
+        if (error) reviewReason = error;
+    }
+
+    if (reviewReason) {
+        registration.order.providerPaymentId = notification.providerPaymentId;
+        registration.order.lastPaymentError = `Paid online but needs review: ${reviewReason}`;
+        await registration.save();
+
+        if (event) {
+            await createNotification({
+                userId: event.organizerId,
+                type: 'REGISTRATION',
+                title: 'Online Payment Needs Review',
+                message: `A payment of ₹${notification.amount} for ${event.title} could not be applied automatically (${reviewReason}).`,
+                eventId: event._id,
+                link: `/organizer/events/${event._id}`,
+            });
+        }
+        return { ...outcome, result: 'NEEDS_REVIEW' };
+    }
+
+    return { ...outcome, result: 'CONFIRMED' };
+};
+
+/**
+ * Record and apply a webhook exactly once per provider event ID.
+ * Resolves to { duplicate } or { result }.
+ */
+const processWebhook = async (provider, notification, payload) => {
+    let record;
+    try {
+        record = await PaymentEvent.create({
+            provider: provider.name,
+            eventId: notification.eventId,
+            status: notification.status || 'IGNORED',
+            providerOrderId: notification.providerOrderId,
+            providerPaymentId: notification.providerPaymentId,
+            amount: notification.amount,
+            payload,
+        });
+    } catch (error) {
+        if (error.code === 11000)
+            return { duplicate: true };
+        throw error;
+    }
+
+    try {
+        const { result, registrationId } = await applyPaymentEvent(provider, notification);
+        record.result = result;
+        record.registrationId = registrationId;
+        record.processedAt = new Date();
+        await record.save();
+        return { result };
+    } catch (error) {
+        // Forget the delivery so the provider's retry gets processed
+        await PaymentEvent.deleteOne({ _id: record._id });
+        throw error;
+    }
+};
+
+// Participant: start an online payment for a pending registration
+exports.createPaymentOrder = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only pay for your own registrations' });
+
+        if (!registration.order || !(registration.order.amountPaid > 0))
+            return res.status(400).json({ message: 'This registration does not require payment' });
+
+        if (registration.order.paymentStatus === 'APPROVED')
+            return res.status(400).json({ message: 'Payment has already been approved' });
+
+        if (registration.status !== 'PENDING')
+            return res.status(400).json({ message: `Cannot pay for a ${registration.status.toLowerCase()} registration` });
+
+        const provider = getActiveProvider();
+        if (!provider.supportsCheckout) {
+            const { checkout } = await provider.createOrder();
+            return res.status(400).json({ message: 'Online payment is not enabled. Please upload a payment proof.', checkout });
+        }
+
+        // Reuse the provider order if checkout was already started (the amount can't change)
+        if (registration.order.paymentProvider === provider.name && registration.order.providerOrderId) {
+            const checkout = { provider: provider.name, orderId: registration.order.providerOrderId, amount: registration.order.amountPaid, currency: PAYMENT_CURRENCY };
+            return res.status(200).json({ message: 'Payment already started', checkout });
+        }
+
+        const { providerOrderId, checkout } = await provider.createOrder({
+            amount: registration.order.amountPaid,
+            currency: PAYMENT_CURRENCY,
+            receipt: registration.ticketId,
+            notes: { registrationId: registration._id.toString(), eventId: registration.eventId.toString() },
+        });
+
+        registration.order.paymentProvider = provider.name;
+        registration.order.providerOrderId = providerOrderId;
+        registration.order.lastPaymentError = undefined;
+        await registration.save();
+
+        res.status(201).json({ message: 'Payment order created', checkout });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// The mock gateway only runs outside production, and only when it is the configured provider
+const mockPaymentsEnabled = () =>
+    process.env.NODE_ENV !== 'production' && getActiveProvider().name === 'mock';
+
+// Public: provider callback. Authenticated by its signature, not a login.
+exports.handleWebhook = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider || !provider.supportsCheckout)
+            return res.status(404).json({ message: 'Unknown payment provider' });
+
+        if (provider.name === 'mock' && !mockPaymentsEnabled())
+            return res.status(404).json({ message: 'Mock payments are not enabled' });
+
+        if (!provider.verifyWebhook(req.rawBody, req.headers))
+            return res.status(400).json({ message: 'Invalid webhook signature' });
+
+        const notification = provider.parseWebhook(req.body, req.headers);
+        if (!notification || !notification.eventId)
+            return res.status(400).json({ message: 'Malformed webhook' });
+
+        const { duplicate, result } = await processWebhook(provider, notification, req.body);
+
+        res.status(200).json({ received: true, ...(duplicate ? { duplicate: true } : { result }) });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Development only: complete (or fail) a mock checkout as if the gateway had called back
+exports.simulateMockPayment = async (req, res) => {
+    try {
+        if (!mockPaymentsEnabled())
+            return res.status(404).json({ message: 'Mock payments are not enabled' });
+
+        const { providerOrderId } = req.params;
+        const { succeed = true } = req.body;
+
+        const registration = await Registration.findOne({ 'order.providerOrderId': providerOrderId });
+        if (!registration)
+            return res.status(404).json({ message: 'Payment order not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only pay for your own registrations' });
+
+        const provider = getProvider('mock');
+        const webhook = provider.buildWebhook({ providerOrderId, amount: registration.order.amountPaid, succeed });
+        const notification = provider.parseWebhook(webhook.body, webhook.headers);
+
+        const { result } = await processWebhook(provider, notification, webhook.body);
+
+        res.status(200).json({ message: 'Mock payment processed', result });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
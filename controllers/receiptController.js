@@ -0,0 +1,111 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { isReceiptable, issueReceipt, generateReceiptPdf } = require('../utils/receipt');
+
+const sendPdf = (res, filename, pdf) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+};
+
+// Render one registration's receipt, numbering it first if it was paid before receipts existed
+const respondWithReceipt = async (res, registration, event) => {
+    if (!isReceiptable(registration.order))
+        return res.status(400).json({ message: 'Receipts are only issued for paid and approved orders' });
+
+    await issueReceipt(registration);
+
+    const [organizer, participant] = await Promise.all([
+        User.findById(event.organizerId),
+        User.findById(registration.participantId),
+    ]);
+
+    const pdf = await generateReceiptPdf([{ registration, event, organizer, participant }]);
+    sendPdf(res, `receipt-${registration.order.receiptNumber}.pdf`, pdf);
+};
+
+// Participant: download the receipt for one of their paid registrations
+exports.downloadMyReceipt = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only download your own receipts' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        await respondWithReceipt(res, registration, event);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: download the receipt for a registration to one of their events
+exports.downloadRegistrationReceipt = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        await respondWithReceipt(res, registration, event);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: every receipt for an event in one PDF (one per page), in receipt order
+exports.exportEventReceipts = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const registrations = await Registration.find({
+            eventId: id,
+            'order.paymentStatus': 'APPROVED',
+            'order.amountPaid': { $gt: 0 },
+        }).populate('participantId', 'email participantProfile').sort({ 'order.paidAt': 1, createdAt: 1 });
+
+        if (registrations.length === 0)
+            return res.status(404).json({ message: 'No paid orders for this event yet' });
+
+        // Orders paid before receipts existed are numbered now, oldest first
+        for (const registration of registrations)
+            await issueReceipt(registration);
+
+        registrations.sort((a, b) => a.order.receiptNumber.localeCompare(b.order.receiptNumber));
+
+        const organizer = await User.findById(event.organizerId);
+        const pdf = await generateReceiptPdf(registrations.map(registration => ({
+            registration,
+            event,
+            organizer,
+            participant: registration.participantId,
+        })));
+
+        sendPdf(res, `event_${id}_receipts.pdf`, pdf);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
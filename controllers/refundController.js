@@ -0,0 +1,292 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { createNotification } = require('./notificationController');
+const { promoteFromWaitlist } = require('./waitlistController');
+const { releaseCoupon } = require('./couponController');
+const { getOrderLines } = require('../utils/merchOrder');
+const { releaseLines, releaseOrderStock } = require('../utils/stockReservation');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const refundableAmount = (order) =>
+    roundMoney((order.amountPaid || 0) - (order.refundedAmount || 0));
+
+const findLine = (order, item) =>
+    getOrderLines(order).find(line =>
+        line.sku === item.sku &&
+        line.variant?.size === item.variant?.size &&
+        line.variant?.color === item.variant?.color
+    );
+
+// Record returned units on the order (cart lines track their own; single-item orders use the order)
+const markLineRefunded = (order, item) => {
+    const line = (order.items || []).find(l =>
+        l.sku === item.sku && l.variant?.size === item.variant?.size && l.variant?.color === item.variant?.color
+    );
+    if (line)
+        line.refundedQuantity = (line.refundedQuantity || 0) + item.quantity;
+    else
+        order.refundedQuantity = (order.refundedQuantity || 0) + item.quantity;
+};
+
+// Participant: ask to cancel a paid order for a refund, or to return some of its items
+exports.requestRefund = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+        const { reason, items } = req.body;
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only request refunds for your own orders' });
+
+        if (registration.status === 'CANCELLED')
+            return res.status(400).json({ message: 'Registration is already cancelled' });
+
+        if (!registration.order || registration.order.paymentStatus !== 'APPROVED' || refundableAmount(registration.order) <= 0)
+            return res.status(400).json({ message: 'Only paid and approved orders can be refunded. Cancel the registration instead.' });
+
+        if (registration.refunds.some(r => r.status === 'REQUESTED'))
+            return res.status(400).json({ message: 'You already have a refund request awaiting the organizer' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (['ONGOING', 'COMPLETED'].includes(event.status))
+            return res.status(400).json({ message: 'Refunds cannot be requested once the event has started' });
+
+        // No items => cancel the whole registration; items => return just those units
+        const isPartial = Array.isArray(items) && items.length > 0;
+        let requestedItems = [];
+        let suggestedAmount = refundableAmount(registration.order);
+
+        if (isPartial) {
+            // Spread any coupon discount across the order so refunds match what was actually paid
+            const paidRatio = registration.order.subtotal ? registration.order.amountPaid / registration.order.subtotal : 1;
+            let itemsValue = 0;
+
+            for (const item of items) {
+                if (!item || !item.sku || !item.variant || !Number.isInteger(item.quantity) || item.quantity < 1)
+                    return res.status(400).json({ message: 'Each item needs a sku, variant and a positive whole quantity' });
+
+                const line = findLine(registration.order, item);
+                if (!line)
+                    return res.status(400).json({ message: `Item ${item.sku} is not part of this order` });
+
+                const remaining = line.quantity - (line.refundedQuantity || 0);
+                if (item.quantity > remaining)
+                    return res.status(400).json({ message: `You can return at most ${remaining} of ${line.name}` });
+
+                requestedItems.push({ sku: line.sku, variant: { size: line.variant.size, color: line.variant.color }, quantity: item.quantity });
+                itemsValue += (line.price || 0) * item.quantity;
+            }
+
+            suggestedAmount = Math.min(roundMoney(itemsValue * paidRatio), refundableAmount(registration.order));
+        }
+
+        registration.refunds.push({
+            type: isPartial ? 'PARTIAL' : 'FULL',
+            items: requestedItems,
+            reason,
+            suggestedAmount,
+        });
+        await registration.save();
+
+        await createNotification({
+            userId: event.organizerId,
+            type: 'REGISTRATION',
+            title: 'Refund Requested',
+            message: `A participant requested a ${isPartial ? 'partial ' : ''}refund for ${event.title}.`,
+            eventId: event._id,
+            link: `/organizer/events/${event._id}`,
+        });
+
+        res.status(201).json({
+            message: isPartial
+                ? 'Return request submitted. The organizer will review it.'
+                : 'Cancellation and refund request submitted. The organizer will review it.',
+            refund: registration.refunds[registration.refunds.length - 1],
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: list refund requests for an event
+exports.getEventRefunds = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+        const { status } = req.query; // optional: REQUESTED, APPROVED, REJECTED
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const filter = { eventId: id, 'refunds.0': { $exists: true } };
+        if (status)
+            filter['refunds.status'] = status;
+
+        const registrations = await Registration.find(filter)
+                                    .populate('participantId', 'email participantProfile')
+                                    .sort({ updatedAt: -1 });
+
+        const refunds = [];
+        registrations.forEach(reg => {
+            reg.refunds
+                .filter(r => !status || r.status === status)
+                .forEach(r => refunds.push({
+                    registrationId: reg._id,
+                    ticketId: reg.ticketId,
+                    participant: {
+                        name: `${reg.participantId?.participantProfile?.firstname || ''} ${reg.participantId?.participantProfile?.lastname || ''}`.trim(),
+                        email: reg.participantId?.email,
+                    },
+                    amountPaid: reg.order?.amountPaid || 0,
+                    refundedSoFar: reg.order?.refundedAmount || 0,
+                    refund: r,
+                }));
+        });
+
+        res.status(200).json({ count: refunds.length, refunds });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: approve a refund with the amount actually returned and its transaction reference
+exports.approveRefund = async (req, res) => {
+    try {
+        const { id, refundId } = req.params; // registration ID, refund request ID
+        const { amount, reference } = req.body;
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const refund = registration.refunds.id(refundId);
+        if (!refund)
+            return res.status(404).json({ message: 'Refund request not found' });
+
+        if (refund.status !== 'REQUESTED')
+            return res.status(400).json({ message: `Refund request has already been ${refund.status.toLowerCase()}` });
+
+        if (!reference || !String(reference).trim())
+            return res.status(400).json({ message: 'Refund reference (transaction ID) is required' });
+
+        // Full or partial amount; defaults to the amount suggested when the request was made
+        const refundAmount = amount === undefined || amount === null || amount === ''
+            ? refund.suggestedAmount
+            : Number(amount);
+        const maxRefund = refundableAmount(registration.order);
+
+        if (!Number.isFinite(refundAmount) || refundAmount < 0)
+            return res.status(400).json({ message: 'Refund amount must be zero or more' });
+
+        if (refundAmount > maxRefund)
+            return res.status(400).json({ message: `Refund amount cannot exceed ₹${maxRefund} still held for this order` });
+
+        // Claim the request so a double-submitted approval can't return stock twice
+        const claimed = await Registration.updateOne(
+            { _id: registration._id, refunds: { $elemMatch: { _id: refund._id, status: 'REQUESTED' } } },
+            { $set: { 'refunds.$.status': 'APPROVED' } }
+        );
+        if (claimed.modifiedCount !== 1)
+            return res.status(400).json({ message: 'Refund request has already been processed' });
+
+        const heldSeat = registration.status === 'PENDING' || registration.status === 'CONFIRMED';
+
+        if (refund.type === 'FULL') {
+            // Everything the order still holds goes back on sale
+            await releaseOrderStock(registration);
+            registration.status = 'CANCELLED';
+        } else {
+            await releaseLines(event._id, refund.items);
+            refund.items.forEach(item => markLineRefunded(registration.order, item));
+        }
+
+        refund.status = 'APPROVED';
+        refund.amount = roundMoney(refundAmount);
+        refund.reference = String(reference).trim();
+        refund.processedBy = req.user.id;
+        refund.processedAt = new Date();
+        registration.order.refundedAmount = roundMoney((registration.order.refundedAmount || 0) + refund.amount);
+        await registration.save();
+
+        if (refund.type === 'FULL') {
+            await releaseCoupon(registration);
+            if (heldSeat)
+                await promoteFromWaitlist(event._id);
+        }
+
+        await createNotification({
+            userId: registration.participantId,
+            type: 'REGISTRATION',
+            title: 'Refund Approved',
+            message: `Your ${refund.type === 'FULL' ? 'cancellation' : 'return'} for ${event.title} was approved. ₹${refund.amount} has been refunded (ref: ${refund.reference}).`,
+            eventId: event._id,
+            link: '/dashboard',
+        });
+
+        res.status(200).json({ message: 'Refund approved', registration });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: turn down a refund request
+exports.rejectRefund = async (req, res) => {
+    try {
+        const { id, refundId } = req.params; // registration ID, refund request ID
+        const { reason } = req.body;
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const refund = registration.refunds.id(refundId);
+        if (!refund)
+            return res.status(404).json({ message: 'Refund request not found' });
+
+        if (refund.status !== 'REQUESTED')
+            return res.status(400).json({ message: `Refund request has already been ${refund.status.toLowerCase()}` });
+
+        refund.status = 'REJECTED';
+        refund.rejectionReason = reason || 'Refund request declined by organizer';
+        refund.processedBy = req.user.id;
+        refund.processedAt = new Date();
+        await registration.save();
+
+        await createNotification({
+            userId: registration.participantId,
+            type: 'REGISTRATION',
+            title: 'Refund Request Declined',
+            message: `Your refund request for ${event.title} was declined. Reason: ${refund.rejectionReason}`,
+            eventId: event._id,
+            link: '/dashboard',
+        });
+
+        res.status(200).json({ message: 'Refund request rejected', registration });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -3,6 +3,9 @@ const Event = require("../models/Event");
 const Registration = require("../models/Registration");
 const crypto = require("crypto");
 const { createNotification } = require("./notificationController");
+const { signTicket } = require("../utils/ticketSigner");
+const { validateFormResponse } = require("../utils/formValidator");
+const { findFullSessions } = require("../utils/eventSessions");
 
 // Create a new team
 exports.createTeam = async (req, res) => {
@@ -27,6 +30,12 @@ exports.createTeam = async (req, res) => {
       });
     }
 
+    // Validate the leader's answers against the event's custom form
+    const { errors: formErrors, values: validatedResponse } = validateFormResponse(event.formSchema, formResponse, { uploaderId: teamLeader });
+    if (Object.keys(formErrors).length > 0) {
+      return res.status(400).json({ message: "Please correct the highlighted form fields", errors: formErrors });
+    }
+
     // Check if user is already in a team for this event
     const existingTeam = await Team.findOne({
       eventId,
@@ -72,7 +81,7 @@ exports.createTeam = async (req, res) => {
       teamLeader,
       teamSize,
       inviteCode,
-      formResponse,
+      formResponse: validatedResponse,
       members: [
         {
           userId: teamLeader,
@@ -378,21 +387,23 @@ async function registerTeam(team) {
     if (!event) throw new Error("Event not found");
 
     const acceptedMembers = team.members.filter(m => m.status === "ACCEPTED");
+
+    // Members join only the sessions with room for the whole team
+    const allSessionIds = (event.sessions || []).map(s => s.sessionId);
+    const fullSessions = await findFullSessions(event, allSessionIds, { seats: acceptedMembers.length });
+    const sessionIds = allSessionIds.filter(id => !fullSessions.some(s => s.sessionId === id));
+    if (allSessionIds.length > 0 && sessionIds.length === 0)
+      throw new Error("Every session of this event is full");
     
     // Create registrations for all team members
     const registrations = [];
     for (const member of acceptedMembers) {
       const ticketId = `${event.title.substring(0, 3).toUpperCase()}-${Date.now()}-${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
       
-      const qrPayload = JSON.stringify({
+      const qrPayload = signTicket({
         ticketId,
         eventId: event._id,
         participantId: member.userId,
-        teamId: team._id,
-        teamName: team.teamName,
-        eventTitle: event.title,
-        eventDate: event.eventStartDate,
-        registeredAt: new Date().toISOString(),
       });
 
       const registration = new Registration({
@@ -403,7 +414,9 @@ async function registerTeam(team) {
         status: "CONFIRMED",
         ticketId,
         qrPayload,
-        formResponse: team.formResponse // Use team leader's form response for all
+        formResponse: team.formResponse, // Use team leader's form response for all
+        formVersion: event.formVersion || 1,
+        sessionIds
       });
 
       registrations.push(registration);
@@ -0,0 +1,176 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const TicketTransfer = require('../models/TicketTransfer');
+const User = require('../models/User');
+const { verifyTicket, getPublicKeyInfo } = require('../utils/ticketSigner');
+const { generateTicketPdf } = require('../utils/ticketPdf');
+const { generateWalletPass } = require('../utils/walletPass');
+
+/**
+ * Verify a scanned QR payload and load the registration it belongs to.
+ * Resolves to { registration, ticket } or { error, status } with an HTTP status code.
+ */
+const resolveTicket = async (qrPayload, eventId) => {
+    const ticket = verifyTicket(qrPayload);
+    if (!ticket.valid)
+        return { status: 400, error: ticket.reason };
+
+    if (eventId && ticket.eventId && ticket.eventId !== eventId.toString())
+        return { status: 400, error: 'Ticket belongs to a different event' };
+
+    const query = { ticketId: ticket.ticketId };
+    if (eventId) query.eventId = eventId;
+
+    const registration = await Registration.findOne(query)
+                                .populate('participantId', 'email participantProfile')
+                                .populate('teamId', 'teamName');
+
+    if (!registration) {
+        // A ticket handed to someone else is replaced by theirs
+        if (ticket.ticketId && await TicketTransfer.exists({ oldTicketId: ticket.ticketId, status: 'ACCEPTED' }))
+            return { status: 400, error: 'Ticket was transferred to another participant and is no longer valid' };
+
+        return { status: 404, error: 'Registration not found or invalid ticket' };
+    }
+
+    // Signed tickets are bound to their holder; legacy ones must match what we issued verbatim
+    if (ticket.signed) {
+        if (ticket.participantId !== registration.participantId._id.toString())
+            return { status: 400, error: 'Ticket is no longer valid' };
+    } else if (registration.qrPayload !== qrPayload.trim()) {
+        return { status: 400, error: 'Ticket is no longer valid' };
+    }
+
+    return { registration, ticket };
+};
+
+exports.resolveTicket = resolveTicket;
+
+// Public: key material scanner apps use to validate tickets offline
+exports.getPublicKey = async (req, res) => {
+    try {
+        res.status(200).json(getPublicKeyInfo());
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: online verification of a ticket without checking it in
+exports.verifyTicket = async (req, res) => {
+    try {
+        const { qrPayload } = req.body;
+
+        const { registration, ticket, error, status } = await resolveTicket(qrPayload);
+        if (error)
+            return res.status(status).json({ valid: false, message: error });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event || event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Not your event' });
+
+        res.status(200).json({
+            valid: true,
+            signed: ticket.signed,
+            issuedAt: ticket.issuedAt,
+            eventId: registration.eventId,
+            ticketId: registration.ticketId,
+            status: registration.status,
+            attended: registration.attended,
+            attendedAt: registration.attendedAt,
+            participant: {
+                name: `${registration.participantId.participantProfile?.firstname || ''} ${registration.participantId.participantProfile?.lastname || ''}`.trim(),
+                email: registration.participantId.email,
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: ticket list a scanner app caches to reject cancelled tickets while offline
+exports.getOfflineManifest = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Not your event' });
+
+        const registrations = await Registration.find({ eventId: id, status: { $ne: 'CANCELLED' } })
+                                    .populate('participantId', 'email participantProfile')
+                                    .select('ticketId status attended attendedAt participantId');
+
+        const tickets = registrations.map(reg => ({
+            ticketId: reg.ticketId,
+            participantId: reg.participantId?._id,
+            name: `${reg.participantId?.participantProfile?.firstname || ''} ${reg.participantId?.participantProfile?.lastname || ''}`.trim(),
+            email: reg.participantId?.email,
+            status: reg.status,
+            attended: reg.attended,
+            attendedAt: reg.attendedAt,
+        }));
+
+        res.status(200).json({
+            eventId: id,
+            generatedAt: new Date().toISOString(),
+            key: getPublicKeyInfo(),
+            count: tickets.length,
+            tickets,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: their ticket as a printable PDF (default) or a wallet pass (?format=pkpass)
+exports.downloadTicket = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+        const format = req.query.format || 'pdf';
+
+        if (!['pdf', 'pkpass'].includes(format))
+            return res.status(400).json({ message: 'format must be pdf or pkpass' });
+
+        const registration = await Registration.findById(id).populate('participantId', 'email participantProfile');
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId._id.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only download your own tickets' });
+
+        if (registration.status !== 'CONFIRMED' || !registration.qrPayload)
+            return res.status(400).json({ message: 'Your ticket is issued once the registration is confirmed' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        const organizer = await User.findById(event.organizerId).select('organizerProfile.name');
+        const profile = registration.participantId.participantProfile;
+
+        const ticket = {
+            participantName: `${profile?.firstname || ''} ${profile?.lastname || ''}`.trim(),
+            eventTitle: event.title,
+            eventDate: event.eventStartDate,
+            venue: event.venue,
+            ticketId: registration.ticketId,
+            qrPayload: registration.qrPayload,
+            organizerName: organizer?.organizerProfile?.name,
+        };
+
+        if (format === 'pkpass') {
+            res.setHeader('Content-Type', 'application/vnd.apple.pkpass');
+            res.setHeader('Content-Disposition', `attachment; filename="ticket-${registration.ticketId}.pkpass"`);
+            return res.send(generateWalletPass(ticket));
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="ticket-${registration.ticketId}.pdf"`);
+        res.send(await generateTicketPdf(ticket));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const TicketTransfer = require('../models/TicketTransfer');
+const User = require('../models/User');
+const { createNotification } = require('./notificationController');
+const { clearPreviousRegistration, isEligible } = require('./eventController');
+const { SEAT_HOLDING_STATUSES } = require('./waitlistController');
+const { sendTicketEmail } = require('../config/mailer');
+const { signTicket } = require('../utils/ticketSigner');
+const { validateFormResponse } = require('../utils/formValidator');
+
+// Recipients get this long to accept, but never past the start of the event
+const getTransferHours = () => Number(process.env.TICKET_TRANSFER_HOURS) || 48;
+
+const participantName = (user) =>
+    `${user?.participantProfile?.firstname || ''} ${user?.participantProfile?.lastname || ''}`.trim() || user?.email;
+
+// Why a registration's ticket can't be handed on right now (null if it can)
+const transferBlocker = (registration, event) => {
+    if (registration.status !== 'CONFIRMED')
+        return 'Only confirmed registrations can be transferred';
+
+    if (registration.teamId)
+        return 'Team registrations cannot be transferred';
+
+    if (registration.type === 'MERCH')
+        return 'Merchandise orders cannot be transferred';
+
+    // The payment, its refunds and its receipt belong to whoever paid
+    if (Number(registration.order?.amountPaid || 0) > 0)
+        return 'Paid registrations cannot be transferred';
+
+    if (registration.attended || (registration.sessionAttendance || []).length > 0)
+        return 'This ticket has already been used for check-in';
+
+    if ((registration.refunds || []).some(r => r.status === 'REQUESTED'))
+        return 'This registration has a refund request awaiting the organizer';
+
+    if (!['PUBLISHED', 'CLOSED'].includes(event.status) || (event.eventStartDate && new Date() >= new Date(event.eventStartDate)))
+        return 'Tickets can only be transferred before the event starts';
+
+    return null;
+};
+
+// Transfers the recipient never answered are marked expired when someone next looks at them
+const expireStaleTransfers = (filter) =>
+    TicketTransfer.updateMany(
+        { ...filter, status: 'PENDING', expiresAt: { $lt: new Date() } },
+        { $set: { status: 'EXPIRED' } }
+    );
+
+// Participant: offer their confirmed ticket to another participant by email
+exports.initiateTransfer = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+        const { email, message } = req.body;
+
+        if (!email || typeof email !== 'string')
+            return res.status(400).json({ message: "Recipient's email is required" });
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only transfer your own tickets' });
+
+        const event = await Event.findById(registration.eventId);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        const blocker = transferBlocker(registration, event);
+        if (blocker)
+            return res.status(400).json({ message: blocker });
+
+        await expireStaleTransfers({ registrationId: registration._id });
+        if (await TicketTransfer.exists({ registrationId: registration._id, status: 'PENDING' }))
+            return res.status(400).json({ message: 'This ticket already has a pending transfer. Cancel it first.' });
+
+        const recipient = await User.findOne({ email: email.trim().toLowerCase() });
+        if (!recipient || recipient.role !== 'participant' || !recipient.isActive)
+            return res.status(404).json({ message: 'No participant account found with that email' });
+
+        if (recipient._id.toString() === req.user.id)
+            return res.status(400).json({ message: 'You cannot transfer a ticket to yourself' });
+
+        // Early versions of the checks the recipient must pass again on acceptance
+        const recipientRegistered = await Registration.exists({
+            eventId: event._id,
+            participantId: recipient._id,
+            status: { $in: [...SEAT_HOLDING_STATUSES, 'WAITLISTED'] },
+        });
+        if (recipientRegistered)
+            return res.status(400).json({ message: 'This participant is already registered for the event' });
+
+        if (!(await isEligible(event, recipient._id)))
+            return res.status(400).json({ message: 'This participant does not meet the eligibility criteria for this event' });
+
+        const defaultExpiry = Date.now() + getTransferHours() * 60 * 60 * 1000;
+        const expiresAt = new Date(event.eventStartDate ? Math.min(defaultExpiry, new Date(event.eventStartDate).getTime()) : defaultExpiry);
+
+        const transfer = await TicketTransfer.create({
+            registrationId: registration._id,
+            eventId: event._id,
+            fromUserId: req.user.id,
+            toUserId: recipient._id,
+            toEmail: recipient.email,
+            message,
+            expiresAt,
+            oldTicketId: registration.ticketId,
+        });
+
+        const holder = await User.findById(req.user.id);
+        await createNotification({
+            userId: recipient._id,
+            type: 'REGISTRATION',
+            title: 'Ticket Offered to You',
+            message: `${participantName(holder)} wants to transfer their ticket for ${event.title} to you. Accept it before ${expiresAt.toLocaleString('en-IN')}.`,
+            eventId: event._id,
+            link: '/dashboard',
+        });
+
+        res.status(201).json({ message: 'Transfer offered. The ticket stays yours until the recipient accepts.', transfer });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: transfers they have offered and been offered
+exports.getMyTransfers = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        await expireStaleTransfers({ $or: [{ fromUserId: userId }, { toUserId: userId }] });
+
+        const transfers = await TicketTransfer.find({ $or: [{ fromUserId: userId }, { toUserId: userId }] })
+                                .populate('eventId', 'title eventStartDate venue formSchema')
+                                .populate('fromUserId', 'email participantProfile.firstname participantProfile.lastname')
+                                .populate('toUserId', 'email participantProfile.firstname participantProfile.lastname')
+                                .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            incoming: transfers.filter(t => t.toUserId?._id.toString() === userId),
+            outgoing: transfers.filter(t => t.fromUserId?._id.toString() === userId),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: take over a ticket offered to them. The registration moves to them with a new ticket.
+exports.acceptTransfer = async (req, res) => {
+    try {
+        const { transferId } = req.params;
+        const { formData } = req.body;
+        const userId = req.user.id;
+
+        const transfer = await TicketTransfer.findById(transferId);
+        if (!transfer || transfer.toUserId.toString() !== userId)
+            return res.status(404).json({ message: 'Transfer not found' });
+
+        if (transfer.status === 'PENDING' && transfer.expiresAt && transfer.expiresAt < new Date()) {
+            transfer.status = 'EXPIRED';
+            await transfer.save();
+        }
+        if (transfer.status !== 'PENDING')
+            return res.status(400).json({ message: `This transfer is ${transfer.status.toLowerCase()}` });
+
+        const registration = await Registration.findById(transfer.registrationId);
+        const event = await Event.findById(transfer.eventId);
+        if (!registration || !event)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        const blocker = registration.ticketId !== transfer.oldTicketId || registration.participantId.toString() !== transfer.fromUserId.toString()
+            ? 'The ticket has changed since it was offered'
+            : transferBlocker(registration, event);
+        if (blocker) {
+            transfer.status = 'CANCELLED';
+            await transfer.save();
+            return res.status(409).json({ message: `This ticket can no longer be transferred: ${blocker}` });
+        }
+
+        // Same checks as registering for the event yourself
+        const duplicateError = await clearPreviousRegistration(event._id, userId);
+        if (duplicateError)
+            return res.status(400).json({ message: duplicateError });
+
+        if (!(await isEligible(event, userId)))
+            return res.status(403).json({ message: 'You do not meet the eligibility criteria for this event' });
+
+        // The holder's form answers are theirs; the recipient gives their own
+        const { errors: formErrors, values: formResponse } = validateFormResponse(event.formSchema, formData, { uploaderId: userId });
+        if (Object.keys(formErrors).length > 0)
+            return res.status(400).json({ message: 'Please correct the highlighted form fields', errors: formErrors });
+
+        // Claim the transfer so a double submit can't hand the ticket over twice
+        const claimed = await TicketTransfer.findOneAndUpdate(
+            { _id: transfer._id, status: 'PENDING' },
+            { $set: { status: 'ACCEPTED', respondedAt: new Date() } },
+            { new: true }
+        );
+        if (!claimed)
+            return res.status(409).json({ message: 'This transfer has already been answered' });
+
+        // A fresh ticket; the holder's QR code stops working at check-in
+        const ticketId = crypto.randomUUID();
+        const qrPayload = signTicket({ ticketId, eventId: event._id, participantId: userId });
+
+        const updated = await Registration.findOneAndUpdate(
+            {
+                _id: registration._id,
+                participantId: transfer.fromUserId,
+                ticketId: transfer.oldTicketId,
+                status: 'CONFIRMED',
+                attended: { $ne: true },
+            },
+            {
+                $set: {
+                    participantId: userId,
+                    ticketId,
+                    qrPayload,
+                    formResponse,
+                    formVersion: event.formVersion || 1,
+                    pendingFormFields: [],
+                },
+                $unset: { qrCodeUrl: 1 },
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            claimed.status = 'CANCELLED';
+            await claimed.save();
+            return res.status(409).json({ message: 'This ticket can no longer be transferred' });
+        }
+
+        claimed.newTicketId = ticketId;
+        await claimed.save();
+
+        const recipient = await User.findById(userId);
+
+        await createNotification({
+            userId: transfer.fromUserId,
+            type: 'REGISTRATION',
+            title: 'Ticket Transferred',
+            message: `${participantName(recipient)} accepted your ticket for ${event.title}. Your old ticket is no longer valid.`,
+            eventId: event._id,
+            link: '/dashboard',
+        });
+
+        await createNotification({
+            userId,
+            type: 'REGISTRATION',
+            title: 'Ticket Received',
+            message: `You're registered for ${event.title}. Your new ticket has been emailed to you.`,
+            eventId: event._id,
+            link: `/events/${event._id}`,
+        });
+
+        sendTicketEmail({
+            to: recipient.email,
+            participantName: participantName(recipient),
+            eventTitle: event.title,
+            eventDate: event.eventStartDate,
+            venue: event.venue,
+            ticketId,
+            qrPayload,
+        });
+
+        res.status(200).json({ message: 'Ticket transferred to you. Your ticket has been emailed.', registration: updated, transfer: claimed });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: turn down a ticket offered to them
+exports.declineTransfer = async (req, res) => {
+    try {
+        const { transferId } = req.params;
+
+        const transfer = await TicketTransfer.findOneAndUpdate(
+            { _id: transferId, toUserId: req.user.id, status: 'PENDING' },
+            { $set: { status: 'DECLINED', respondedAt: new Date() } },
+            { new: true }
+        ).populate('eventId', 'title');
+        if (!transfer)
+            return res.status(404).json({ message: 'No pending transfer found' });
+
+        await createNotification({
+            userId: transfer.fromUserId,
+            type: 'REGISTRATION',
+            title: 'Ticket Transfer Declined',
+            message: `${transfer.toEmail} declined your ticket for ${transfer.eventId?.title}. The ticket is still yours.`,
+            eventId: transfer.eventId?._id,
+            link: '/dashboard',
+        });
+
+        res.status(200).json({ message: 'Transfer declined', transfer });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: withdraw a ticket they offered before it is accepted
+exports.cancelTransfer = async (req, res) => {
+    try {
+        const { transferId } = req.params;
+
+        const transfer = await TicketTransfer.findOneAndUpdate(
+            { _id: transferId, fromUserId: req.user.id, status: 'PENDING' },
+            { $set: { status: 'CANCELLED', respondedAt: new Date() } },
+            { new: true }
+        );
+        if (!transfer)
+            return res.status(404).json({ message: 'No pending transfer found' });
+
+        res.status(200).json({ message: 'Transfer cancelled', transfer });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,218 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { createNotification } = require('./notificationController');
+const { sendTicketEmail } = require('../config/mailer');
+const { signTicket } = require('../utils/ticketSigner');
+const { releaseCoupon } = require('./couponController');
+const { reserveOrderStock } = require('../utils/stockReservation');
+
+// Registrations in these states occupy one of the event's maxParticipants seats
+const SEAT_HOLDING_STATUSES = ['PENDING', 'CONFIRMED'];
+
+const countOccupiedSeats = (eventId) =>
+    Registration.countDocuments({ eventId, status: { $in: SEAT_HOLDING_STATUSES } });
+
+// 1-based position of a WAITLISTED registration in its event's queue
+const getWaitlistPosition = async (registration) => {
+    const ahead = await Registration.countDocuments({
+        eventId: registration.eventId,
+        status: 'WAITLISTED',
+        waitlistedAt: { $lt: registration.waitlistedAt },
+    });
+    return ahead + 1;
+};
+
+exports.SEAT_HOLDING_STATUSES = SEAT_HOLDING_STATUSES;
+exports.countOccupiedSeats = countOccupiedSeats;
+exports.getWaitlistPosition = getWaitlistPosition;
+
+/**
+ * Fill any free seats of an event from the head of its waitlist.
+ * Free promotions are confirmed and ticketed right away; paid ones move to
+ * PENDING so the participant can upload payment proof.
+ * Never throws – a failed promotion must not break the caller's request.
+ */
+exports.promoteFromWaitlist = async (eventId) => {
+    const promoted = [];
+    try {
+        const event = await Event.findById(eventId);
+        if (!event || !event.maxParticipants)
+            return promoted;
+
+        if (['CANCELLED', 'COMPLETED'].includes(event.status))
+            return promoted;
+
+        // Required here: utils/eventSessions depends on this module
+        const { findFullSessions } = require('../utils/eventSessions');
+        const skipped = [];
+
+        while ((await countOccupiedSeats(event._id)) < event.maxParticipants) {
+            // Claim the head of the queue atomically so two concurrent
+            // cancellations can never promote the same registration twice
+            const registration = await Registration.findOneAndUpdate(
+                { eventId: event._id, status: 'WAITLISTED', _id: { $nin: skipped } },
+                { $set: { status: 'PENDING', promotedAt: new Date() } },
+                { sort: { waitlistedAt: 1 }, new: true }
+            );
+            if (!registration)
+                break;
+
+            // Drop sessions that filled up while it waited; with none left it keeps its place in the queue
+            const requested = registration.sessionIds?.length > 0
+                ? registration.sessionIds
+                : (event.sessions || []).map(s => s.sessionId);
+            const fullSessions = await findFullSessions(event, requested, { exclude: registration._id });
+            if (fullSessions.length > 0) {
+                const openSessionIds = requested.filter(id => !fullSessions.some(s => s.sessionId === id));
+                if (openSessionIds.length === 0) {
+                    await Registration.updateOne(
+                        { _id: registration._id },
+                        { $set: { status: 'WAITLISTED' }, $unset: { promotedAt: 1 } }
+                    );
+                    skipped.push(registration._id);
+                    continue;
+                }
+                registration.sessionIds = openSessionIds;
+                await registration.save();
+            }
+
+            // Hold merch stock for the promoted order; if it has sold out, approval will say so
+            const { error: stockError } = await reserveOrderStock(registration, event);
+            if (!stockError && registration.isModified())
+                await registration.save();
+
+            const amountDue = Number(registration.order?.amountPaid || 0);
+
+            if (amountDue > 0) {
+                await createNotification({
+                    userId: registration.participantId,
+                    type: 'REGISTRATION',
+                    title: 'Spot Available – Payment Required',
+                    message: `A spot opened up for ${event.title}. Please upload payment proof of ₹${amountDue} to confirm your spot.`,
+                    eventId: event._id,
+                    link: '/dashboard',
+                });
+            } else {
+                registration.status = 'CONFIRMED';
+                registration.qrPayload = signTicket({
+                    ticketId: registration.ticketId,
+                    eventId: event._id,
+                    participantId: registration.participantId,
+                });
+                await registration.save();
+
+                await createNotification({
+                    userId: registration.participantId,
+                    type: 'REGISTRATION',
+                    title: 'Off the Waitlist – Registration Confirmed',
+                    message: `A spot opened up for ${event.title}. Your registration is confirmed and your ticket is ready!`,
+                    eventId: event._id,
+                    link: `/events/${event._id}`,
+                });
+
+                const participant = await User.findById(registration.participantId);
+                if (participant) {
+                    const participantName = participant.participantProfile
+                        ? `${participant.participantProfile.firstname || ''} ${participant.participantProfile.lastname || ''}`.trim()
+                        : '';
+                    sendTicketEmail({
+                        to: participant.email,
+                        participantName,
+                        eventTitle: event.title,
+                        eventDate: event.eventStartDate,
+                        venue: event.venue,
+                        ticketId: registration.ticketId,
+                        qrPayload: registration.qrPayload,
+                    });
+                }
+            }
+
+            promoted.push(registration);
+        }
+    } catch (error) {
+        console.error('Waitlist promotion error:', error);
+    }
+    return promoted;
+};
+
+// Participant: see own position in an event's waitlist
+exports.getMyWaitlistPosition = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only view your own registrations' });
+
+        if (registration.status !== 'WAITLISTED')
+            return res.status(400).json({ message: 'This registration is not on the waitlist' });
+
+        const position = await getWaitlistPosition(registration);
+        const waitlistSize = await Registration.countDocuments({ eventId: registration.eventId, status: 'WAITLISTED' });
+
+        res.status(200).json({ registrationId: registration._id, position, waitlistSize });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Participant: leave an event's waitlist
+exports.leaveWaitlist = async (req, res) => {
+    try {
+        const { id } = req.params; // registration ID
+
+        const registration = await Registration.findById(id);
+        if (!registration)
+            return res.status(404).json({ message: 'Registration not found' });
+
+        if (registration.participantId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You can only leave your own waitlist entries' });
+
+        if (registration.status !== 'WAITLISTED')
+            return res.status(400).json({ message: 'This registration is not on the waitlist' });
+
+        registration.status = 'CANCELLED';
+        await registration.save();
+        await releaseCoupon(registration);
+
+        res.status(200).json({ message: 'You have left the waitlist', registration });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Organizer: view an event's waitlist in queue order
+exports.getEventWaitlist = async (req, res) => {
+    try {
+        const { id } = req.params; // event ID
+
+        const event = await Event.findById(id);
+        if (!event)
+            return res.status(404).json({ message: 'Event not found' });
+
+        if (event.organizerId.toString() !== req.user.id)
+            return res.status(403).json({ message: 'Forbidden: You are not the organizer of this event' });
+
+        const waitlist = await Registration.find({ eventId: id, status: 'WAITLISTED' })
+                                    .populate('participantId', 'email participantProfile')
+                                    .sort({ waitlistedAt: 1 });
+
+        const entries = waitlist.map((registration, index) => ({
+            position: index + 1,
+            registration,
+        }));
+
+        res.status(200).json({
+            count: entries.length,
+            maxParticipants: event.maxParticipants,
+            occupiedSeats: await countOccupiedSeats(id),
+            waitlist: entries,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
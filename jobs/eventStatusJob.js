@@ -0,0 +1,41 @@
+const Event = require('../models/Event');
+const { applyScheduledStatus } = require('../utils/eventStatus');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Move events along their schedule: CLOSED at the registration deadline or when full,
+ * ONGOING at start and COMPLETED after the end. Events closed for capacity or deadline
+ * reopen when seats free up or the deadline is extended.
+ */
+const applyScheduledStatuses = async () => {
+    const now = new Date();
+    const events = await Event.find({ status: { $in: ['PUBLISHED', 'CLOSED', 'ONGOING'] } });
+
+    let changed = 0;
+    for (const event of events) {
+        const { changed: moved } = await applyScheduledStatus(event, { now });
+        if (moved)
+            changed++;
+    }
+
+    return changed;
+};
+
+const startEventStatusJob = () => {
+    const timer = setInterval(async () => {
+        try {
+            const changed = await applyScheduledStatuses();
+            if (changed > 0)
+                console.log(`Updated status of ${changed} event(s)`);
+        } catch (error) {
+            console.error('Event status sweep failed:', error.message);
+        }
+    }, SWEEP_INTERVAL_MS);
+
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+    return timer;
+};
+
+module.exports = { applyScheduledStatuses, startEventStatusJob };
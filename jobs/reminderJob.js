@@ -0,0 +1,151 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const ReminderLog = require('../models/ReminderLog');
+const { createNotification } = require('../controllers/notificationController');
+const { sendReminderEmail } = require('../config/mailer');
+const { getDueReminder, formatLeadTime } = require('../utils/reminders');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const eventLink = (event) =>
+    process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/events/${event._id}` : null;
+
+/**
+ * Record a reminder before sending it. The unique index on (registration, kind, hours)
+ * makes this the idempotency check: a reminder already logged - by an earlier sweep or
+ * before a restart - is not claimed again. Missed earlier reminders are logged as skipped.
+ */
+const claimReminder = async (registration, kind, due) => {
+    const base = { eventId: registration.eventId, registrationId: registration._id, participantId: registration.participantId._id, kind };
+
+    try {
+        await ReminderLog.create({ ...base, hoursBefore: due.hours });
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+
+    if (due.skipped.length > 0) {
+        await ReminderLog.insertMany(
+            due.skipped.map(hours => ({ ...base, hoursBefore: hours, skipped: true })),
+            { ordered: false }
+        ).catch(error => {
+            if (error.code !== 11000) throw error;
+        });
+    }
+    return true;
+};
+
+const remind = async (event, registration, kind, due, { title, heading, message }) => {
+    if (!(await claimReminder(registration, kind, due)))
+        return false;
+
+    const participant = registration.participantId;
+
+    await createNotification({
+        userId: participant._id,
+        type: 'REMINDER',
+        title,
+        message,
+        eventId: event._id,
+        link: kind === 'PAYMENT_DUE' ? '/dashboard' : `/events/${event._id}`,
+    });
+
+    if (event.reminderSettings?.email !== false && participant.email) {
+        const emailed = await sendReminderEmail({
+            to: participant.email,
+            participantName: `${participant.participantProfile?.firstname || ''} ${participant.participantProfile?.lastname || ''}`.trim(),
+            subject: `⏰ ${title}: ${event.title}`,
+            heading,
+            message,
+            eventTitle: event.title,
+            eventDate: event.eventStartDate,
+            venue: event.venue,
+            link: eventLink(event),
+        });
+        await ReminderLog.updateOne(
+            { registrationId: registration._id, kind, hoursBefore: due.hours },
+            { $set: { emailed } }
+        );
+    }
+    return true;
+};
+
+/**
+ * Send the reminders that are due: before the event starts to CONFIRMED registrants,
+ * and before the registration deadline to PENDING registrants who haven't paid.
+ */
+const sendDueReminders = async () => {
+    const now = new Date();
+    const events = await Event.find({
+        status: { $in: ['PUBLISHED', 'CLOSED'] },
+        'reminderSettings.enabled': { $ne: false },
+        eventStartDate: { $gt: now },
+    });
+
+    let sent = 0;
+    for (const event of events) {
+        const settings = event.reminderSettings || {};
+
+        const startDue = getDueReminder(event.eventStartDate, settings.eventStartHours, now);
+        if (startDue) {
+            const registrations = await Registration.find({ eventId: event._id, status: 'CONFIRMED' })
+                                        .populate('participantId', 'email participantProfile');
+            const lead = formatLeadTime(startDue.hours);
+
+            for (const registration of registrations) {
+                if (!registration.participantId) continue;
+                const didSend = await remind(event, registration, 'EVENT_START', startDue, {
+                    title: 'Event Reminder',
+                    heading: `⏰ Starting in ${lead}`,
+                    message: `${event.title} starts in about ${lead}${event.venue ? ` at ${event.venue}` : ''}. Keep your ticket QR code handy for check-in.`,
+                });
+                if (didSend) sent++;
+            }
+        }
+
+        // Unpaid registrations lapse at the deadline (or at the start when there is none)
+        const deadline = event.registrationDeadline || event.eventStartDate;
+        const paymentDue = getDueReminder(deadline, settings.paymentDueHours, now);
+        if (paymentDue) {
+            const registrations = await Registration.find({
+                eventId: event._id,
+                status: 'PENDING',
+                'order.paymentStatus': 'PENDING',
+                'order.paymentProof': { $in: [null, ''] },
+                'order.providerPaymentId': { $in: [null, ''] },
+            }).populate('participantId', 'email participantProfile');
+            const lead = formatLeadTime(paymentDue.hours);
+
+            for (const registration of registrations) {
+                if (!registration.participantId) continue;
+                const didSend = await remind(event, registration, 'PAYMENT_DUE', paymentDue, {
+                    title: 'Payment Pending',
+                    heading: '💳 Complete your payment',
+                    message: `Your registration for ${event.title} is waiting for payment of ₹${registration.order.amountPaid}. Registrations close in about ${lead} - pay or upload your payment proof from your dashboard to keep your spot.`,
+                });
+                if (didSend) sent++;
+            }
+        }
+    }
+
+    return sent;
+};
+
+const startReminderJob = () => {
+    const timer = setInterval(async () => {
+        try {
+            const sent = await sendDueReminders();
+            if (sent > 0)
+                console.log(`Sent ${sent} reminder(s)`);
+        } catch (error) {
+            console.error('Reminder sweep failed:', error.message);
+        }
+    }, SWEEP_INTERVAL_MS);
+
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+    return timer;
+};
+
+module.exports = { sendDueReminders, startReminderJob };
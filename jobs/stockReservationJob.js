@@ -0,0 +1,62 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { createNotification } = require('../controllers/notificationController');
+const { releaseOrderStock } = require('../utils/stockReservation');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Give back stock held by unpaid orders whose reservation window passed
+ * without a payment proof. The order itself stays open; uploading proof
+ * later re-reserves whatever is still in stock.
+ */
+const releaseExpiredReservations = async () => {
+    const now = new Date();
+    const expired = await Registration.find({
+        'order.stockReserved': true,
+        'order.reservationExpiresAt': { $lte: now },
+        'order.paymentProof': { $in: [null, ''] },
+    });
+
+    let released = 0;
+    for (const registration of expired) {
+        // Re-check the conditions while claiming, in case proof arrived since the query
+        const didRelease = await releaseOrderStock(registration, {
+            'order.reservationExpiresAt': { $lte: now },
+            'order.paymentProof': { $in: [null, ''] },
+        });
+        if (!didRelease)
+            continue;
+        released++;
+
+        const event = await Event.findById(registration.eventId).select('title');
+        await createNotification({
+            userId: registration.participantId,
+            type: 'REGISTRATION',
+            title: 'Reserved Items Released',
+            message: `We held your items for ${event?.title || 'your order'} but no payment proof arrived in time. Upload proof to re-reserve them while stock lasts.`,
+            eventId: registration.eventId,
+            link: `/dashboard`,
+        });
+    }
+
+    return released;
+};
+
+const startStockReservationJob = () => {
+    const timer = setInterval(async () => {
+        try {
+            const released = await releaseExpiredReservations();
+            if (released > 0)
+                console.log(`Released stock for ${released} expired order reservation(s)`);
+        } catch (error) {
+            console.error('Stock reservation sweep failed:', error.message);
+        }
+    }, SWEEP_INTERVAL_MS);
+
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+    return timer;
+};
+
+module.exports = { releaseExpiredReservations, startStockReservationJob };
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { runWithRequestContext } = require('../utils/requestContext');
 
 const authMiddleware = async (req, res, next) => {
 
@@ -15,7 +16,9 @@ const authMiddleware = async (req, res, next) => {
 
         req.user = { id: decoded.id, role: decoded.role };
 
-        next();
+        // Lets the audit trail know who made the changes this request leads to
+        req.requestContext = { userId: decoded.id, role: decoded.role, ip: req.ip };
+        runWithRequestContext(req.requestContext, next);
     } catch (error) {
         console.error('Auth Middleware Error:', error);
         return res.status(401).json({ message: 'Invalid token' });
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One field's value before and after a change
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// A change to an audited document, written by the audit plugin (see utils/auditTrail.js),
+// or a privileged admin operation (see logAdminAction in controllers/auditController.js)
+const auditLogSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["Event", "Registration", "User"],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // The event the change belongs to, so organizers can see their events' history
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+
+    action: {
+      type: String,
+      enum: [
+        "CREATE", "UPDATE", "DELETE",
+        // Admin operations on organizer accounts
+        "ORGANIZER_CREATE", "ORGANIZER_APPROVE", "ORGANIZER_REJECT", "ORGANIZER_DEACTIVATE",
+        "ORGANIZER_REACTIVATE", "ORGANIZER_DELETE", "ORGANIZER_PASSWORD_RESET",
+      ],
+      required: true,
+    },
+    changes: [auditChangeSchema],
+
+    // Admin operations: the target in words (it may since have been deleted) and what was asked for
+    targetLabel: String,
+    summary: String,
+
+    // Unset when the change came from a background job
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+      enum: ["participant", "organizer", "admin", "system"],
+      default: "system",
+    },
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Indexes
+auditLogSchema.index({ eventId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ actorRole: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
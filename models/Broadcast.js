@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// A message an organizer sent to an event's registrants, with how it was delivered
+const broadcastSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    organizerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+
+    // Which registrants it went to
+    filters: {
+      statuses: [String],
+      attended: Boolean, // unset: everyone
+      teamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Team",
+      },
+      sku: String,
+    },
+
+    channels: {
+      notification: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+      discord: { type: Boolean, default: false },
+    },
+
+    // Delivery counts; emails go out in the background and are counted as they finish
+    recipientCount: { type: Number, default: 0 },
+    notificationsSent: { type: Number, default: 0 },
+    emailsSent: { type: Number, default: 0 },
+    emailsFailed: { type: Number, default: 0 },
+    discordStatus: {
+      type: String,
+      enum: ["NOT_REQUESTED", "SENT", "FAILED", "NOT_CONFIGURED"],
+      default: "NOT_REQUESTED",
+    },
+    discordError: String,
+
+    status: {
+      type: String,
+      enum: ["SENDING", "SENT"],
+      default: "SENDING",
+    },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+broadcastSchema.index({ eventId: 1, createdAt: -1 });
+broadcastSchema.index({ organizerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Broadcast", broadcastSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Audit trail of every check-in and undo performed at an event
+const checkInLogSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["CHECK_IN", "UNDO"],
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["QR", "MANUAL", "OFFLINE_SYNC"],
+    },
+    // Set when the check-in was for a single session of a multi-session event
+    sessionId: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: String,
+    // For UNDO: the check-in time that was cleared
+    previousAttendedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+checkInLogSchema.index({ eventId: 1, createdAt: -1 });
+checkInLogSchema.index({ registrationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CheckInLog", checkInLogSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Named sequences (e.g. receipt numbers) that must never hand out the same value twice
+const counterSchema = new mongoose.Schema(
+  {
+    _id: String, // sequence name
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
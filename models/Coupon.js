@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    organizerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: String,
+
+    discountType: {
+      type: String,
+      enum: ["PERCENTAGE", "FLAT"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxDiscount: Number, // cap for PERCENTAGE coupons
+
+    // Usage limits (unset = unlimited)
+    maxUses: Number,
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+    },
+
+    validFrom: Date,
+    expiresAt: Date,
+
+    // Restrictions (empty = no restriction)
+    eligibility: {
+      type: [String],
+      enum: ["IIIT", "NON_IIIT"],
+      default: [],
+    },
+    applicableSkus: [String], // may include REGISTRATION_FEE
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One code per event
+couponSchema.index({ eventId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -1,4 +1,18 @@
 const mongoose = require("mongoose");
+const auditTrail = require("../utils/auditTrail");
+
+const visibilityRuleSchema = new mongoose.Schema(
+  {
+    fieldId: String, // field whose answer controls visibility
+    operator: {
+      type: String,
+      enum: ["equals", "notEquals", "includes", "isFilled"],
+      default: "equals",
+    },
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
 
 const formFieldSchema = new mongoose.Schema(
   {
@@ -6,11 +20,29 @@ const formFieldSchema = new mongoose.Schema(
     label: String,
     type: {
       type: String,
-      enum: ["text", "number", "select", "checkbox"],
+      enum: [
+        "text", "textarea", "number", "email", "phone", "date", "url",
+        "select", "multiselect", "checkbox", "file",
+      ],
     },
     required: Boolean,
     options: [String],
     order: Number,
+    placeholder: String,
+    helpText: String,
+
+    // Constraints
+    min: Number,         // number value, or selections for multiselect
+    max: Number,
+    minLength: Number,
+    maxLength: Number,
+    pattern: String,     // regex the answer must match
+    patternMessage: String,
+    minDate: Date,
+    maxDate: Date,
+
+    // Only shown (and validated) when the rule matches
+    visibleIf: visibilityRuleSchema,
   },
   { _id: false }
 );
@@ -20,6 +52,7 @@ const merchVariantSchema = new mongoose.Schema(
     size: String,
     color: String,
     stock: Number,
+    price: Number, // overrides the item price (e.g. XXL costs more)
   },
   { _id: false }
 );
@@ -28,12 +61,94 @@ const merchItemSchema = new mongoose.Schema(
   {
     sku: String,
     name: String,
+    description: String,
+    price: Number, // falls back to event.merchandiseFee
+    images: [String], // paths under /uploads/merch/
     variants: [merchVariantSchema],
     purchaseLimitPerUser: Number,
   },
   { _id: false }
 );
 
+// A superseded version of the registration form, kept so older answers stay readable
+const formVersionSchema = new mongoose.Schema(
+  {
+    version: Number,
+    fields: [formFieldSchema],
+    createdAt: Date,
+    supersededAt: Date,
+  },
+  { _id: false }
+);
+
+const sessionSchema = new mongoose.Schema(
+  {
+    sessionId: String,
+    title: String,
+    description: String,
+    startTime: Date,
+    endTime: Date,
+    venue: String,
+    capacity: Number,
+  },
+  { _id: false }
+);
+
+const reminderSettingsSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Hours before eventStartDate to remind CONFIRMED registrants
+    eventStartHours: {
+      type: [Number],
+      default: [24, 1],
+    },
+    // Hours before the registration deadline to remind registrants who haven't paid yet
+    paymentDueHours: {
+      type: [Number],
+      default: [24],
+    },
+    email: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+// One field that changed in an edit or status change (see utils/eventChanges.js)
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const eventChangeSchema = new mongoose.Schema(
+  {
+    changes: [fieldChangeSchema],
+    // Cancellations, venue moves and new start dates are also emailed to registrants
+    critical: {
+      type: Boolean,
+      default: false,
+    },
+    // Unset for changes made by the status scheduler
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const eventSchema = new mongoose.Schema(
   {
     organizerId: {
@@ -66,13 +181,29 @@ const eventSchema = new mongoose.Schema(
       enum: ["DRAFT", "PUBLISHED", "ONGOING", "CLOSED", "COMPLETED", "CANCELLED"],
       default: "DRAFT",
     },
+    statusChangedAt: Date,
+    // Why a CLOSED event stopped taking registrations; CAPACITY closures reopen when seats free up
+    closedReason: {
+      type: String,
+      enum: ["DEADLINE", "CAPACITY", "MANUAL"],
+    },
+    // Date, venue, deadline and status changes made after publishing, oldest first
+    changeHistory: [eventChangeSchema],
 
     registrationDeadline: Date,
     eventStartDate: Date,
     eventEndDate: Date,
     venue: String,
 
+    // Multi-day workshops / hackathons: participants register for and attend individual sessions
+    sessions: [sessionSchema],
+
     maxParticipants: Number,
+    // Once full, accept WAITLISTED registrations instead of turning people away
+    allowWaitlist: {
+      type: Boolean,
+      default: true,
+    },
     fee: {
       type: Number,
       default: 0
@@ -100,6 +231,14 @@ const eventSchema = new mongoose.Schema(
 
     // NORMAL event
     formSchema: [formFieldSchema],
+    // Editing the form after registrations exist creates a new version instead of overwriting it
+    formVersion: {
+      type: Number,
+      default: 1,
+    },
+    formVersionCreatedAt: Date,
+    formVersions: [formVersionSchema],
+    // Optional manual lock set by the organizer
     formLocked: {
       type: Boolean,
       default: false,
@@ -107,10 +246,28 @@ const eventSchema = new mongoose.Schema(
 
     // MERCH event
     items: [merchItemSchema],
+    // How long stock is held for an unpaid order (falls back to STOCK_RESERVATION_MINUTES)
+    stockReservationMinutes: {
+      type: Number,
+      min: 1,
+    },
+
+    // Reminders sent by the reminder job (see jobs/reminderJob.js)
+    reminderSettings: {
+      type: reminderSettingsSchema,
+      default: () => ({}),
+    },
   },
   { timestamps: true }
 );
 
+// Every change is kept in AuditLog; changeHistory is itself derived from edits
+eventSchema.plugin(auditTrail, {
+  entityType: "Event",
+  ignore: ["changeHistory"],
+  eventIdOf: (event) => event._id,
+});
+
 // Indexes
 eventSchema.index({ organizerId: 1 });
 eventSchema.index({ status: 1 });
@@ -21,6 +21,7 @@ const notificationSchema = new mongoose.Schema(
         "REGISTRATION",       // Registration confirmed
         "EVENT_UPDATE",       // Event details updated
         "ANNOUNCEMENT",       // Organizer announcement
+        "REMINDER",           // Upcoming event or payment due
       ],
       required: true,
     },
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Every webhook a payment provider delivered, so retried deliveries are processed once
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    // The provider's own ID for this notification
+    eventId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["PAID", "FAILED", "IGNORED"],
+    },
+    providerOrderId: String,
+    providerPaymentId: String,
+    amount: Number,
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+    },
+    // What we did with it: CONFIRMED, PAYMENT_FAILED, ALREADY_APPROVED, AMOUNT_MISMATCH, NEEDS_REVIEW, UNMATCHED, IGNORED
+    result: String,
+    payload: mongoose.Schema.Types.Mixed,
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ registrationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
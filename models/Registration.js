@@ -1,7 +1,29 @@
 const mongoose = require("mongoose");
+const auditTrail = require("../utils/auditTrail");
+
+// One line of a merch cart
+const merchOrderItemSchema = new mongoose.Schema(
+  {
+    sku: String,
+    name: String,
+    variant: {
+      size: String,
+      color: String,
+    },
+    quantity: Number,
+    price: Number, // per unit
+    amount: Number, // price × quantity
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
 
 const merchOrderSchema = new mongoose.Schema(
   {
+    // Single-item fields: used by registration-fee-only orders and orders placed before carts
     sku: String,
     name: String,
     variant: {
@@ -10,6 +32,25 @@ const merchOrderSchema = new mongoose.Schema(
     },
     quantity: Number,
     price: Number,
+    refundedQuantity: Number, // single-item orders only; cart lines track their own
+
+    items: [merchOrderItemSchema],
+    registrationFee: Number,
+
+    // Stock held for this order's items (taken when the order is placed)
+    stockReserved: Boolean,
+    reservationExpiresAt: Date, // released if no payment proof arrives by then
+
+    subtotal: Number, // before any coupon discount
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    couponCode: String,
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
     amountPaid: Number,
     paymentStatus: {
       type: String,
@@ -17,7 +58,75 @@ const merchOrderSchema = new mongoose.Schema(
       default: "PENDING",
     },
     paymentProof: String, // File path to uploaded image
+    paymentProofHash: String, // SHA-256 of the image, to spot the same screenshot reused
+    upiReference: String, // UPI transaction reference (UTR), unique per event
+    rejectionReason: String,
+
+    // Online payments (paymentProvider "manual" means proof upload)
+    paymentProvider: {
+      type: String,
+      default: "manual",
+    },
+    providerOrderId: String,
+    providerPaymentId: String,
+    paidAt: Date,
+    lastPaymentError: String,
+
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Numbered receipt, issued once the payment is approved
+    receiptNumber: String,
+    receiptIssuedAt: Date,
+  },
+  { _id: false }
+);
+
+// A participant's request to cancel (fully) or return items from (partially) a paid order
+const refundRequestSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["FULL", "PARTIAL"],
+      required: true,
+    },
+    items: [
+      {
+        _id: false,
+        sku: String,
+        variant: {
+          size: String,
+          color: String,
+        },
+        quantity: Number,
+      },
+    ],
+    reason: String,
+    suggestedAmount: Number,
+
+    status: {
+      type: String,
+      enum: ["REQUESTED", "APPROVED", "REJECTED"],
+      default: "REQUESTED",
+    },
+    amount: Number, // refunded amount, set on approval
+    reference: String, // e.g. UPI/bank transaction ID of the refund
     rejectionReason: String,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+const sessionAttendanceSchema = new mongoose.Schema(
+  {
+    sessionId: String,
+    attendedAt: Date,
   },
   { _id: false }
 );
@@ -49,10 +158,14 @@ const registrationSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["PENDING", "CONFIRMED", "REJECTED", "CANCELLED"],
+      enum: ["PENDING", "CONFIRMED", "REJECTED", "CANCELLED", "WAITLISTED"],
       default: "CONFIRMED",
     },
 
+    // Waitlist (event was full at registration time)
+    waitlistedAt: Date,
+    promotedAt: Date,
+
     ticketId: {
       type: String,
       unique: true,
@@ -65,18 +178,59 @@ const registrationSchema = new mongoose.Schema(
     attended: { type : Boolean, default: false },
     attendedAt : Date,
 
+    // Multi-session events
+    sessionIds: [String],
+    sessionAttendance: [sessionAttendanceSchema],
+
     // NORMAL events
     formResponse: mongoose.Schema.Types.Mixed,
+    formVersion: Number, // event form version these answers were given against
+    pendingFormFields: [String], // newly added required fields the organizer asked this registrant to answer
 
     // MERCH events
     order: merchOrderSchema,
+    refunds: [refundRequestSchema],
   },
   { timestamps: true }
 );
 
+// Status and payment changes are kept in AuditLog
+registrationSchema.plugin(auditTrail, {
+  entityType: "Registration",
+  fields: [
+    "participantId",
+    "status",
+    "attended",
+    "order.paymentStatus",
+    "order.amountPaid",
+    "order.paymentProvider",
+    "order.providerPaymentId",
+    "order.upiReference",
+    "order.paymentProof",
+    "order.paidAt",
+    "order.rejectionReason",
+    "order.refundedAmount",
+    "order.receiptNumber",
+  ],
+  eventIdOf: (registration) => registration.eventId,
+});
+
 // Indexes
 registrationSchema.index({ participantId: 1 });
 registrationSchema.index({ eventId: 1 });
 registrationSchema.index({ createdAt: -1 });
+registrationSchema.index({ eventId: 1, status: 1, waitlistedAt: 1 });
+registrationSchema.index({ "order.stockReserved": 1, "order.reservationExpiresAt": 1 });
+registrationSchema.index({ eventId: 1, "refunds.status": 1 });
+registrationSchema.index({ "order.providerOrderId": 1 });
+registrationSchema.index({ "order.paymentProofHash": 1 });
+registrationSchema.index(
+  { eventId: 1, "order.upiReference": 1 },
+  { unique: true, partialFilterExpression: { "order.upiReference": { $type: "string" } } }
+);
+registrationSchema.index(
+  { "order.receiptNumber": 1 },
+  { unique: true, partialFilterExpression: { "order.receiptNumber": { $type: "string" } } }
+);
 
 module.exports = mongoose.model("Registration", registrationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// One row per reminder sent (or deliberately skipped), so the job never sends one twice
+const reminderLogSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+      required: true,
+    },
+    participantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    kind: {
+      type: String,
+      enum: ["EVENT_START", "PAYMENT_DUE"],
+      required: true,
+    },
+    hoursBefore: {
+      type: Number,
+      required: true,
+    },
+    // A later reminder was already due (e.g. after downtime), so this one was not sent
+    skipped: {
+      type: Boolean,
+      default: false,
+    },
+    emailed: Boolean,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+reminderLogSchema.index({ registrationId: 1, kind: 1, hoursBefore: 1 }, { unique: true });
+reminderLogSchema.index({ eventId: 1, kind: 1 });
+
+module.exports = mongoose.model("ReminderLog", reminderLogSchema);
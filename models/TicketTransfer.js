@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A participant handing their confirmed ticket to another participant
+const ticketTransferSchema = new mongoose.Schema(
+  {
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+      required: true,
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    toEmail: String,
+    message: String,
+
+    status: {
+      type: String,
+      enum: ["PENDING", "ACCEPTED", "DECLINED", "CANCELLED", "EXPIRED"],
+      default: "PENDING",
+    },
+    expiresAt: Date,
+    respondedAt: Date,
+
+    // The ticket the holder had, and the one issued to the recipient on acceptance
+    oldTicketId: {
+      type: String,
+      required: true,
+    },
+    newTicketId: String,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+ticketTransferSchema.index({ registrationId: 1, status: 1 });
+ticketTransferSchema.index({ toUserId: 1, status: 1 });
+ticketTransferSchema.index({ fromUserId: 1, createdAt: -1 });
+ticketTransferSchema.index({ oldTicketId: 1 });
+
+module.exports = mongoose.model("TicketTransfer", ticketTransferSchema);
@@ -26,6 +26,15 @@ const organizerProfileSchema = new mongoose.Schema(
     contactEmail: String,
     contactNumber: String,
     discordWebhook: String,
+
+    // Printed on payment receipts
+    address: String,
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, "Invalid GSTIN"],
+    },
   },
   { _id: false }
 );
@@ -51,6 +60,9 @@ const userSchema = new mongoose.Schema(
     participantProfile: participantProfileSchema,
 
     organizerProfile: organizerProfileSchema,
+
+    // Secret in the participant's calendar feed URL (see calendarController)
+    calendarToken: {type: String, unique: true, sparse: true, select: false,},
   },
   { timestamps: true }
 );
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 const adminController = require('../controllers/adminController');
+const auditController = require('../controllers/auditController');
 const allowRoles = require('../middleware/roleMiddleware');
 const authMiddleware = require('../middleware/authMiddleware');
 
@@ -21,4 +22,8 @@ router.put('/approve-organizer/:id', adminController.approveOrganizer);
 router.delete('/reject-organizer/:id', adminController.rejectOrganizer);
 router.get('/statistics', adminController.getStatistics);
 
+// Audit trail of admin operations and event and registration changes
+router.get('/audit', auditController.getAuditLog);
+router.get('/audit/export', auditController.exportAuditLog);
+
 module.exports = router;
\ No newline at end of file
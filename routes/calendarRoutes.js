@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const calendarController = require('../controllers/calendarController');
+
+// public: calendar apps fetch these without logging in (the personal feed is authenticated by its token)
+router.get('/events/:id.ics', calendarController.downloadEventCalendar);
+router.get('/organizers/:id.ics', calendarController.getOrganizerFeed);
+router.get('/feeds/:token.ics', calendarController.getParticipantFeed);
+
+module.exports = router;
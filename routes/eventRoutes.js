@@ -4,6 +4,7 @@ const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const allowRoles = require('../middleware/roleMiddleware');
 const eventController = require('../controllers/eventController');
+const couponController = require('../controllers/couponController');
 
 router.get('/', eventController.getAllEvents);
 router.get('/trending', eventController.getTrendingEvents);
@@ -12,4 +13,5 @@ router.get('/:id', eventController.getEventById);
 // only participants can register for events
 router.post('/:id/register', authMiddleware, allowRoles('participant'), eventController.registerForEvent);
 router.post('/:id/register-merch', authMiddleware, allowRoles('participant'), eventController.registerForMerchEvent);
+router.post('/:id/coupons/validate', authMiddleware, allowRoles('participant'), couponController.previewCoupon);
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,17 @@ const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const allowRoles = require('../middleware/roleMiddleware');
 const organizerController = require('../controllers/organizerController');
+const waitlistController = require('../controllers/waitlistController');
+const ticketController = require('../controllers/ticketController');
+const checkInController = require('../controllers/checkInController');
+const couponController = require('../controllers/couponController');
+const refundController = require('../controllers/refundController');
+const receiptController = require('../controllers/receiptController');
+const financeController = require('../controllers/financeController');
+const broadcastController = require('../controllers/broadcastController');
+const auditController = require('../controllers/auditController');
+const { uploadMerchImage } = require('../config/multer');
+const { restoreRequestContext } = require('../utils/requestContext');
 
 
 router.use(authMiddleware, allowRoles('organizer'));
@@ -13,19 +24,64 @@ router.get('/events', organizerController.getMyEvents);
 router.patch('/events/:id', organizerController.editEvent); // patch : partial update
 router.post('/events/:id/publish', organizerController.publishEvent);
 router.get('/events/:id/registrations', organizerController.getEventRegistrations);
-router.post('/events/:id/checkin', organizerController.checkIn);
+
+// Check-in
+router.post('/events/:id/checkin', checkInController.checkIn);
+router.get('/events/:id/checkin/search', checkInController.searchRegistrations);
+router.post('/events/:id/checkin/manual', checkInController.manualCheckIn);
+router.post('/events/:id/checkin/:registrationId/undo', checkInController.undoCheckIn);
+router.get('/events/:id/checkin/log', checkInController.getCheckInLog);
+router.get('/events/:id/checkin/manifest', ticketController.getOfflineManifest);
+router.post('/events/:id/checkin/sync', checkInController.syncOfflineCheckIns);
 
 router.patch('/events/:id/status', organizerController.changeEventStatus);
+router.get('/events/:id/reminders', organizerController.getReminderSettings);
+router.put('/events/:id/reminders', organizerController.updateReminderSettings);
 router.patch('/events/:id/published-edit', organizerController.editPublishedEvent);
+router.get('/events/:id/audit', auditController.getEventAuditLog);
 
 router.get('/events/:id/analytics', organizerController.getEventAnalytics);
 router.get('/events/:id/export', organizerController.exportRegistrations);
 
 router.get('/events/:id/attendance', organizerController.getAttendanceList);
+router.get('/events/:id/waitlist', waitlistController.getEventWaitlist);
+
+// Merchandise item images
+router.post('/events/:id/items/:sku/images', uploadMerchImage.array('images', 5), restoreRequestContext, organizerController.uploadItemImages);
+router.delete('/events/:id/items/:sku/images', organizerController.deleteItemImage);
+
+// Coupons
+router.post('/events/:id/coupons', couponController.createCoupon);
+router.get('/events/:id/coupons', couponController.getEventCoupons);
+router.patch('/coupons/:couponId', couponController.updateCoupon);
+router.delete('/coupons/:couponId', couponController.deleteCoupon);
 
 // Payment approvals for merchandise events
 router.get('/events/:id/payment-approvals', organizerController.getPaymentApprovals);
 router.post('/registrations/:id/approve-payment', organizerController.approvePayment);
 router.post('/registrations/:id/reject-payment', organizerController.rejectPayment);
+router.post('/events/:id/payments/bulk-approve', organizerController.bulkApprovePayments);
+router.post('/events/:id/payments/bulk-reject', organizerController.bulkRejectPayments);
+
+// Refunds
+router.get('/events/:id/refunds', refundController.getEventRefunds);
+router.post('/registrations/:id/refunds/:refundId/approve', refundController.approveRefund);
+router.post('/registrations/:id/refunds/:refundId/reject', refundController.rejectRefund);
+
+// Receipts
+router.get('/events/:id/receipts', receiptController.exportEventReceipts);
+router.get('/registrations/:id/receipt', receiptController.downloadRegistrationReceipt);
+
+// Finance
+router.get('/finance', financeController.getOrganizerFinance);
+router.get('/finance/settlement', financeController.exportSettlement);
+router.get('/events/:id/finance', financeController.getEventFinance);
+router.get('/events/:id/finance/settlement', financeController.exportSettlement);
+
+// Broadcasts to registrants
+router.post('/events/:id/broadcasts/preview', broadcastController.previewBroadcast);
+router.post('/events/:id/broadcasts', broadcastController.sendBroadcast);
+router.get('/events/:id/broadcasts', broadcastController.getEventBroadcasts);
+router.get('/broadcasts/:broadcastId', broadcastController.getBroadcast);
 
 module.exports = router;
\ No newline at end of file
@@ -4,14 +4,45 @@ const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const allowRoles = require('../middleware/roleMiddleware');
 const participantController = require('../controllers/participantController');
-const { uploadPaymentProof } = require('../config/multer');
+const waitlistController = require('../controllers/waitlistController');
+const refundController = require('../controllers/refundController');
+const paymentController = require('../controllers/paymentController');
+const receiptController = require('../controllers/receiptController');
+const ticketController = require('../controllers/ticketController');
+const transferController = require('../controllers/transferController');
+const calendarController = require('../controllers/calendarController');
+const { uploadPaymentProof, uploadFormFile } = require('../config/multer');
+const { restoreRequestContext } = require('../utils/requestContext');
 
 router.use(authMiddleware, allowRoles('participant'));
 
 // Registrations
 router.get('/registrations', participantController.getMyRegistrations);
 router.delete('/registrations/:id', participantController.cancelRegistration);
-router.post('/registrations/:id/payment-proof', uploadPaymentProof.single('paymentProof'), participantController.uploadPaymentProof);
+router.post('/registrations/:id/payment-proof', uploadPaymentProof.single('paymentProof'), restoreRequestContext, participantController.uploadPaymentProof);
+router.post('/registrations/:id/pay', paymentController.createPaymentOrder);
+router.put('/registrations/:id/form-response', participantController.answerPendingFormFields);
+router.post('/registrations/:id/refund-request', refundController.requestRefund);
+router.get('/registrations/:id/receipt', receiptController.downloadMyReceipt);
+router.get('/registrations/:id/ticket', ticketController.downloadTicket);
+
+// Ticket transfers
+router.post('/registrations/:id/transfer', transferController.initiateTransfer);
+router.get('/transfers', transferController.getMyTransfers);
+router.post('/transfers/:transferId/accept', transferController.acceptTransfer);
+router.post('/transfers/:transferId/decline', transferController.declineTransfer);
+router.delete('/transfers/:transferId', transferController.cancelTransfer);
+
+// Calendar feed
+router.get('/calendar', calendarController.getMyCalendarFeed);
+router.post('/calendar/reset', calendarController.resetMyCalendarFeed);
+
+// Files for "file" fields on registration forms
+router.post('/form-uploads', uploadFormFile.single('file'), restoreRequestContext, participantController.uploadFormFile);
+
+// Waitlist
+router.get('/registrations/:id/waitlist', waitlistController.getMyWaitlistPosition);
+router.delete('/registrations/:id/waitlist', waitlistController.leaveWaitlist);
 
 // Profile
 router.get('/profile', participantController.getProfile);
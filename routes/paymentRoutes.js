@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const allowRoles = require('../middleware/roleMiddleware');
+const paymentController = require('../controllers/paymentController');
+
+// public: gateways call this; requests are authenticated by their signature
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+// development only: complete a mock checkout
+router.post('/mock/:providerOrderId/complete', authMiddleware, allowRoles('participant'), paymentController.simulateMockPayment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const allowRoles = require('../middleware/roleMiddleware');
+const ticketController = require('../controllers/ticketController');
+
+// public: scanner apps fetch this to validate signed tickets offline
+router.get('/public-key', ticketController.getPublicKey);
+
+router.post('/verify', authMiddleware, allowRoles('organizer'), ticketController.verifyTicket);
+
+module.exports = router;
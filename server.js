@@ -102,6 +102,13 @@ io.on('connection', (socket) => {
     });
 });
 
+// Behind a hosting proxy req.ip (recorded in the audit log) is the proxy's address
+// unless its X-Forwarded-For header is trusted, e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // middleware
 app.use(cors({
     origin: allowedOrigins,
@@ -109,7 +116,14 @@ app.use(cors({
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/payments/webhook'))
+            req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from uploads directory
@@ -149,12 +163,29 @@ app.use('/team-messages', teamMessageRoutes);
 const feedbackRoutes = require('./routes/feedbackRoutes');
 app.use('/feedback', feedbackRoutes);
 
+const ticketRoutes = require('./routes/ticketRoutes');
+app.use('/tickets', ticketRoutes);
+
+const paymentRoutes = require('./routes/paymentRoutes');
+app.use('/payments', paymentRoutes);
+
+const calendarRoutes = require('./routes/calendarRoutes');
+app.use('/calendar', calendarRoutes);
+
 app.get('/', (req, res) => {
     res.send('API is running...');
 });
 
+// Background jobs
+const { startStockReservationJob } = require('./jobs/stockReservationJob');
+const { startEventStatusJob } = require('./jobs/eventStatusJob');
+const { startReminderJob } = require('./jobs/reminderJob');
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
     console.log('Server is running on port', PORT);
+    startStockReservationJob();
+    startEventStatusJob();
+    startReminderJob();
 });
\ No newline at end of file
@@ -0,0 +1,182 @@
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('./requestContext');
+
+/*
+ * Mongoose plugin that records every change to a model's documents in AuditLog, with a
+ * before/after value for each changed field. Saves, query updates (updateOne, updateMany,
+ * findOneAndUpdate), deletes and insertMany are all covered, so call sites don't have to
+ * remember to log. The actor comes from the request context (see utils/requestContext.js);
+ * changes made by background jobs are recorded as "system".
+ *
+ * Nested values are compared leaf by leaf ("items.0.stock"), so a stock update records
+ * one number rather than the whole items array.
+ */
+const IGNORED_PATHS = ['__v', 'createdAt', 'updatedAt'];
+
+const QUERY_UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const QUERY_DELETES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Leaf values by dotted path; empty arrays and objects contribute nothing, so [] and unset compare equal
+const flatten = (value, prefix, out) => {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => flatten(item, `${prefix}.${index}`, out));
+    } else if (isPlainObject(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            if (key !== '_id')
+                flatten(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (value !== undefined && value !== null && value !== '') {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+// ObjectIds and dates become strings so values compare (and store) the same whether read lean or hydrated
+const toPlain = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const diffSnapshots = (before, after) => {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return fields
+        .filter(field => before[field] !== after[field])
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+const auditTrail = (schema, { entityType, fields, ignore = [], eventIdOf }) => {
+    const ignored = [...IGNORED_PATHS, ...ignore];
+
+    // The audited values of a document (a plain object, lean or from toObject)
+    const snapshot = (doc) => {
+        const plain = toPlain(doc);
+        const out = {};
+        if (fields) {
+            for (const field of fields)
+                flatten(getPath(plain, field), field, out);
+        } else {
+            for (const [key, value] of Object.entries(plain)) {
+                if (key !== '_id' && !ignored.includes(key))
+                    flatten(value, key, out);
+            }
+        }
+        return out;
+    };
+
+    const projection = fields ? ['eventId', ...fields].join(' ') : ignored.map(path => `-${path}`).join(' ');
+
+    const findAudited = (model, filter) => model.find(filter).select(projection).lean();
+
+    // Audit logging never fails the write it describes
+    const writeAuditLogs = async (entries) => {
+        if (entries.length === 0)
+            return;
+        try {
+            const context = getRequestContext();
+            await AuditLog.insertMany(entries.map(({ doc, action, changes }) => ({
+                entityType,
+                entityId: doc._id,
+                eventId: eventIdOf(doc),
+                action,
+                changes,
+                actorId: context?.userId,
+                actorRole: context?.role || 'system',
+                ip: context?.ip,
+            })));
+        } catch (error) {
+            console.error(`Failed to write ${entityType} audit log:`, error.message);
+        }
+    };
+
+    // Documents: compare against the stored version, read only when an audited path was modified
+    // (so documents that are loaded and never saved cost nothing)
+    schema.pre('save', async function () {
+        this.$locals.auditEntry = null;
+        if (!this.isNew && !(fields ? this.isModified(fields) : this.isModified()))
+            return;
+
+        try {
+            let before = {};
+            if (!this.isNew) {
+                const [stored] = await findAudited(this.constructor, { _id: this._id });
+                before = stored ? snapshot(stored) : {};
+            }
+            const changes = diffSnapshots(before, snapshot(this.toObject({ depopulate: true })));
+            if (changes.length > 0)
+                this.$locals.auditEntry = { action: this.isNew ? 'CREATE' : 'UPDATE', changes };
+        } catch (error) {
+            console.error(`Failed to read ${entityType} before change for audit log:`, error.message);
+        }
+    });
+
+    schema.post('save', async function () {
+        const entry = this.$locals.auditEntry;
+        this.$locals.auditEntry = null;
+        if (entry)
+            await writeAuditLogs([{ ...entry, doc: this }]);
+    });
+
+    schema.post('insertMany', async function (docs) {
+        await writeAuditLogs(docs.map(doc => ({
+            doc,
+            action: 'CREATE',
+            changes: diffSnapshots({}, snapshot(doc.toObject({ depopulate: true }))),
+        })));
+    });
+
+    // Query updates: read the matching documents before and after
+    schema.pre(QUERY_UPDATES, { document: false, query: true }, async function () {
+        try {
+            this._auditBefore = await findAudited(this.model, this.getFilter());
+        } catch (error) {
+            console.error(`Failed to read ${entityType} before change for audit log:`, error.message);
+        }
+    });
+
+    schema.post(QUERY_UPDATES, { document: false, query: true }, async function () {
+        const before = this._auditBefore || [];
+        if (before.length === 0)
+            return;
+
+        try {
+            const after = new Map((await findAudited(this.model, { _id: { $in: before.map(d => d._id) } }))
+                                    .map(doc => [doc._id.toString(), doc]));
+            const entries = [];
+            for (const doc of before) {
+                const updated = after.get(doc._id.toString());
+                const changes = updated ? diffSnapshots(snapshot(doc), snapshot(updated)) : [];
+                if (changes.length > 0)
+                    entries.push({ doc: updated, action: 'UPDATE', changes });
+            }
+            await writeAuditLogs(entries);
+        } catch (error) {
+            console.error(`Failed to write ${entityType} audit log:`, error.message);
+        }
+    });
+
+    schema.pre(QUERY_DELETES, { document: false, query: true }, async function () {
+        try {
+            this._auditBefore = await findAudited(this.model, this.getFilter());
+        } catch (error) {
+            console.error(`Failed to read ${entityType} before change for audit log:`, error.message);
+        }
+    });
+
+    schema.post(QUERY_DELETES, { document: false, query: true }, async function () {
+        const before = this._auditBefore || [];
+        if (before.length === 0)
+            return;
+
+        try {
+            const remaining = new Set((await this.model.find({ _id: { $in: before.map(d => d._id) } }).distinct('_id')).map(String));
+            await writeAuditLogs(before
+                .filter(doc => !remaining.has(doc._id.toString()))
+                .map(doc => ({ doc, action: 'DELETE', changes: diffSnapshots(snapshot(doc), {}) })));
+        } catch (error) {
+            console.error(`Failed to write ${entityType} audit log:`, error.message);
+        }
+    });
+};
+
+module.exports = auditTrail;
@@ -0,0 +1,13 @@
+/**
+ * Quoted CSV cell. Text that spreadsheets would run as a formula (names, titles and
+ * codes are user-entered) gets a leading apostrophe; numbers, such as negative refund
+ * amounts, are left as they are.
+ */
+const escapeCsv = (value) => {
+    let text = String(value ?? '');
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text))
+        text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+module.exports = { escapeCsv };
@@ -0,0 +1,38 @@
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * POST a message to a Discord webhook.
+ * Resolves to { ok, status } once Discord answers; rejects on network errors and bad URLs.
+ */
+const postToDiscord = (webhookUrl, message) => new Promise((resolve, reject) => {
+    const url = new URL(webhookUrl);
+    if (url.protocol !== 'https:')
+        return reject(new Error('Discord webhook URL must use https'));
+
+    const postData = JSON.stringify(message);
+
+    const options = {
+        hostname: url.hostname,
+        port: url.port || undefined,
+        path: url.pathname + url.search,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+    };
+
+    const req = https.request(options, (res) => {
+        res.resume();
+        resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode });
+    });
+    req.on('timeout', () => req.destroy(new Error('Discord webhook timed out')));
+    req.on('error', reject);
+    req.write(postData);
+    req.end();
+});
+
+module.exports = { postToDiscord };
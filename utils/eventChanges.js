@@ -0,0 +1,163 @@
+const Registration = require('../models/Registration');
+const { createNotification } = require('../controllers/notificationController');
+const { sendEventUpdateEmail } = require('../config/mailer');
+
+/*
+ * Change detection for published events. Edits and status changes are diffed on the
+ * fields registrants plan around, recorded in the event's changeHistory and announced
+ * to everyone still registered. Critical changes are emailed as well.
+ */
+const TRACKED_FIELDS = {
+    status: { label: 'Status' },
+    eventStartDate: { label: 'Starts', isDate: true, critical: true },
+    eventEndDate: { label: 'Ends', isDate: true },
+    venue: { label: 'Venue', critical: true },
+    registrationDeadline: { label: 'Registration deadline', isDate: true },
+};
+
+// Registrants who are told about changes
+const ACTIVE_STATUSES = ['PENDING', 'CONFIRMED', 'WAITLISTED'];
+
+// What registrants are told when their event changes status (none for reopening)
+const STATUS_NOTIFICATIONS = {
+    CLOSED: { title: 'Registrations Closed', message: (name) => `Registrations for ${name} are now closed. Your registration is unaffected.` },
+    ONGOING: { title: 'Event Started', message: (name) => `${name} has started. Have your ticket QR code ready for check-in.` },
+    COMPLETED: { title: 'Event Ended', message: (name) => `${name} has ended. Thanks for taking part - we'd love your feedback.` },
+    CANCELLED: { title: 'Event Cancelled', message: (name) => `${name} has been cancelled by the organizer.` },
+};
+
+const normalizeValue = (field, value) => {
+    if (value === undefined || value === null || value === '')
+        return null;
+    if (TRACKED_FIELDS[field].isDate) {
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+    return typeof value === 'string' ? value.trim() : value;
+};
+
+const sameValue = (a, b) =>
+    a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b;
+
+const formatValue = (field, value) => {
+    if (value === null || value === undefined)
+        return 'Not set';
+    if (TRACKED_FIELDS[field].isDate)
+        return new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+    return String(value);
+};
+
+const participantName = (user) =>
+    `${user?.participantProfile?.firstname || ''} ${user?.participantProfile?.lastname || ''}`.trim();
+
+// The tracked fields of an event, taken before it is edited
+const snapshotEvent = (event) =>
+    Object.fromEntries(Object.keys(TRACKED_FIELDS).map(field => [field, normalizeValue(field, event[field])]));
+
+// [{ field, from, to }] for every tracked field that differs between two snapshots
+const diffSnapshots = (before, after) =>
+    Object.keys(TRACKED_FIELDS)
+        .filter(field => !sameValue(before[field], after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+const isCriticalChange = ({ field, to }) =>
+    !!TRACKED_FIELDS[field]?.critical || (field === 'status' && to === 'CANCELLED');
+
+// A changeHistory entry for a list of field changes
+const buildChangeEntry = (changes, changedBy) => ({
+    changes,
+    critical: changes.some(isCriticalChange),
+    changedBy,
+    changedAt: new Date(),
+});
+
+/**
+ * Compare an event with the snapshot taken before editing it and add a changeHistory
+ * entry for what changed. Call before saving. Drafts have no registrants, so their
+ * edits aren't tracked. Returns the entry, or null when nothing tracked changed.
+ */
+const trackEventChanges = (event, before, changedBy) => {
+    if (event.status === 'DRAFT' && before.status === 'DRAFT')
+        return null;
+
+    const changes = diffSnapshots(before, snapshotEvent(event));
+    if (changes.length === 0)
+        return null;
+
+    const entry = buildChangeEntry(changes, changedBy);
+    event.changeHistory.push(entry);
+    return entry;
+};
+
+const describeChanges = (changes) =>
+    changes.map(({ field, from, to }) => `${TRACKED_FIELDS[field].label}: ${formatValue(field, from)} → ${formatValue(field, to)}`);
+
+const emailRegistrants = async (event, recipients, { heading, message, lines }) => {
+    for (const participant of recipients) {
+        await sendEventUpdateEmail({
+            to: participant.email,
+            participantName: participantName(participant),
+            subject: `${heading}: ${event.title}`,
+            heading,
+            message,
+            changes: lines,
+            eventTitle: event.title,
+            eventDate: event.eventStartDate,
+            venue: event.venue,
+            link: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/events/${event._id}` : null,
+        });
+    }
+};
+
+/**
+ * Tell the event's active registrants about a changeHistory entry: a notification with a
+ * summary of what changed, plus an email when the change is critical (sent in the background).
+ * Resolves to the number of registrants notified.
+ */
+const notifyEventChange = async (event, entry) => {
+    const statusChange = entry.changes.find(c => c.field === 'status');
+    const statusNote = statusChange && STATUS_NOTIFICATIONS[statusChange.to];
+    const otherChanges = entry.changes.filter(c => c.field !== 'status');
+
+    // Reopening a closed event isn't news to people who are already registered
+    if (!statusNote && otherChanges.length === 0)
+        return 0;
+
+    const lines = describeChanges(otherChanges);
+    const title = statusNote ? statusNote.title : 'Event Updated';
+    const message = statusNote
+        ? `${statusNote.message(event.title)}${lines.length > 0 ? ` Also changed - ${lines.join('; ')}.` : ''}`
+        : `${event.title} has been updated. ${lines.join('; ')}.`;
+
+    const registrations = await Registration.find({ eventId: event._id, status: { $in: ACTIVE_STATUSES } })
+                                    .populate('participantId', 'email participantProfile');
+
+    const recipients = new Map();
+    for (const registration of registrations) {
+        if (registration.participantId)
+            recipients.set(registration.participantId._id.toString(), registration.participantId);
+    }
+
+    for (const participant of recipients.values()) {
+        await createNotification({
+            userId: participant._id,
+            type: 'EVENT_UPDATE',
+            title,
+            message,
+            eventId: event._id,
+            link: `/events/${event._id}`,
+        });
+    }
+
+    if (entry.critical && recipients.size > 0) {
+        emailRegistrants(event, [...recipients.values()], {
+            heading: title,
+            message: statusNote ? statusNote.message(event.title) : `The organizer has changed some details of ${event.title}.`,
+            lines,
+        }).catch(error => console.error('Failed to email event update:', error.message));
+    }
+
+    return recipients.size;
+};
+
+module.exports = { snapshotEvent, buildChangeEntry, trackEventChanges, notifyEventChange };
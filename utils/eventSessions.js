@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const Registration = require('../models/Registration');
+const { SEAT_HOLDING_STATUSES } = require('../controllers/waitlistController');
+
+/**
+ * Validate organizer-supplied sessions and give each a stable sessionId.
+ * Returns { sessions } or { error }.
+ */
+const normalizeSessions = (input) => {
+    if (input === undefined || input === null)
+        return { sessions: [] };
+
+    if (!Array.isArray(input))
+        return { error: 'Sessions must be an array' };
+
+    const seen = new Set();
+    const sessions = [];
+
+    for (const [index, session] of input.entries()) {
+        const label = session?.title ? `Session "${session.title}"` : `Session ${index + 1}`;
+
+        if (!session || !session.title || !session.startTime)
+            return { error: `${label} must have a title and start time` };
+
+        const startTime = new Date(session.startTime);
+        const endTime = session.endTime ? new Date(session.endTime) : null;
+        if (isNaN(startTime) || (endTime && isNaN(endTime)))
+            return { error: `${label} has an invalid date` };
+
+        if (endTime && endTime < startTime)
+            return { error: `${label} must end after it starts` };
+
+        if (session.capacity !== undefined && session.capacity !== null && session.capacity !== '' &&
+            (!Number.isInteger(Number(session.capacity)) || Number(session.capacity) < 1))
+            return { error: `${label} capacity must be a positive whole number` };
+
+        const sessionId = session.sessionId || crypto.randomUUID();
+        if (seen.has(sessionId))
+            return { error: `Duplicate sessionId ${sessionId}` };
+        seen.add(sessionId);
+
+        sessions.push({
+            sessionId,
+            title: session.title,
+            description: session.description,
+            startTime,
+            endTime,
+            venue: session.venue,
+            capacity: session.capacity ? Number(session.capacity) : undefined,
+        });
+    }
+
+    // Keep sessions in chronological order so drop-off analytics read naturally
+    sessions.sort((a, b) => a.startTime - b.startTime);
+    return { sessions };
+};
+
+/**
+ * Resolve the sessions a participant asked for. No selection means every session.
+ * Returns { sessionIds } or { error }.
+ */
+const resolveSessionSelection = (event, requested) => {
+    const all = (event.sessions || []).map(s => s.sessionId);
+    if (all.length === 0)
+        return { sessionIds: [] };
+
+    if (!requested || (Array.isArray(requested) && requested.length === 0))
+        return { sessionIds: all };
+
+    if (!Array.isArray(requested))
+        return { error: 'sessionIds must be an array' };
+
+    const unknown = requested.filter(id => !all.includes(id));
+    if (unknown.length > 0)
+        return { error: `Unknown session(s): ${unknown.join(', ')}` };
+
+    return { sessionIds: [...new Set(requested)] };
+};
+
+// Registrations made before sessions existed (empty sessionIds) count as registered for all of them
+const isRegisteredForSession = (registration, sessionId) =>
+    !registration.sessionIds || registration.sessionIds.length === 0 || registration.sessionIds.includes(sessionId);
+
+const hasAttendedSession = (registration, sessionId) =>
+    (registration.sessionAttendance || []).some(a => a.sessionId === sessionId);
+
+/**
+ * The sessions among sessionIds without room for `seats` more registrants.
+ * `exclude` leaves one registration out of the count (e.g. one being promoted, which already holds its seat).
+ */
+const findFullSessions = async (event, sessionIds, { seats = 1, exclude } = {}) => {
+    const full = [];
+    for (const sessionId of sessionIds) {
+        const session = (event.sessions || []).find(s => s.sessionId === sessionId);
+        if (!session?.capacity) continue;
+
+        const query = {
+            eventId: event._id,
+            status: { $in: SEAT_HOLDING_STATUSES },
+            $or: [{ sessionIds: sessionId }, { sessionIds: { $size: 0 } }],
+        };
+        if (exclude)
+            query._id = { $ne: exclude };
+
+        if ((await Registration.countDocuments(query)) + seats > session.capacity)
+            full.push(session);
+    }
+    return full;
+};
+
+module.exports = { normalizeSessions, resolveSessionSelection, findFullSessions, isRegisteredForSession, hasAttendedSession };
@@ -0,0 +1,128 @@
+const Event = require('../models/Event');
+const { countOccupiedSeats } = require('../controllers/waitlistController');
+const { buildChangeEntry, notifyEventChange } = require('./eventChanges');
+
+// Statuses an event may move to from each status. COMPLETED and CANCELLED are final.
+const EVENT_STATUS_TRANSITIONS = {
+    DRAFT: ['PUBLISHED', 'CANCELLED'],
+    PUBLISHED: ['CLOSED', 'ONGOING', 'COMPLETED', 'CANCELLED'],
+    CLOSED: ['PUBLISHED', 'ONGOING', 'COMPLETED', 'CANCELLED'],
+    ONGOING: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: [],
+};
+
+// Events with no end date are treated as over this long after they start
+const DEFAULT_EVENT_HOURS = 24;
+
+// Closures the scheduler made and undoes once the reason is gone
+const AUTO_CLOSE_REASONS = ['CAPACITY', 'DEADLINE'];
+
+const canTransition = (from, to) => (EVENT_STATUS_TRANSITIONS[from] || []).includes(to);
+
+const isAutoClosed = (event) => event.status === 'CLOSED' && AUTO_CLOSE_REASONS.includes(event.closedReason);
+
+// Every seat taken and nowhere to queue
+const isEventFull = async (event) =>
+    !!event.maxParticipants && !event.allowWaitlist &&
+    (await countOccupiedSeats(event._id)) >= event.maxParticipants;
+
+const getEventEnd = (event) => {
+    if (event.eventEndDate) return new Date(event.eventEndDate);
+    if (event.eventStartDate) return new Date(new Date(event.eventStartDate).getTime() + DEFAULT_EVENT_HOURS * 60 * 60 * 1000);
+    return null;
+};
+
+/**
+ * The status an event's schedule calls for right now, as { status, closedReason },
+ * or null when it should stay as it is. isFull: every seat taken and no waitlist.
+ */
+const getScheduledStatus = (event, { isFull = false, now = new Date() } = {}) => {
+    if (!['PUBLISHED', 'CLOSED', 'ONGOING'].includes(event.status))
+        return null;
+
+    const end = getEventEnd(event);
+    if (end && now >= end)
+        return { status: 'COMPLETED' };
+
+    // Organizers may start an event early; it stays ONGOING until it ends
+    if (event.status === 'ONGOING')
+        return null;
+
+    if (event.eventStartDate && now >= new Date(event.eventStartDate))
+        return { status: 'ONGOING' };
+
+    const deadlinePassed = !!event.registrationDeadline && now > new Date(event.registrationDeadline);
+
+    if (event.status === 'PUBLISHED') {
+        if (deadlinePassed) return { status: 'CLOSED', closedReason: 'DEADLINE' };
+        if (isFull) return { status: 'CLOSED', closedReason: 'CAPACITY' };
+    }
+
+    // e.g. the organizer raised the limit or extended the deadline
+    if (isAutoClosed(event) && !isFull && !deadlinePassed)
+        return { status: 'PUBLISHED' };
+
+    return null;
+};
+
+/**
+ * Move an event to a new status if the state machine allows it, record it in the event's
+ * change history and tell its registrants. The change only applies if the event is still
+ * in the status it was read with, so the scheduler and an organizer can't both move it.
+ * changedBy is unset for scheduled changes. Resolves to the updated event,
+ * or { error } when the transition is not allowed or lost the race.
+ */
+const transitionEventStatus = async (event, status, { closedReason, changedBy } = {}) => {
+    if (!canTransition(event.status, status))
+        return { error: `Cannot change event status from ${event.status} to ${status}` };
+
+    // A full event without a waitlist closes and reopens with every cancel-then-register.
+    // Those flips stay out of the change history and registrants aren't told about them.
+    const capacityFlip = (status === 'CLOSED' && closedReason === 'CAPACITY') ||
+        (status === 'PUBLISHED' && event.closedReason === 'CAPACITY' && !changedBy);
+
+    const change = buildChangeEntry([{ field: 'status', from: event.status, to: status }], changedBy);
+    const history = capacityFlip ? {} : { $push: { changeHistory: change } };
+    const updated = await Event.findOneAndUpdate(
+        { _id: event._id, status: event.status },
+        status === 'CLOSED'
+            ? { $set: { status, statusChangedAt: new Date(), closedReason: closedReason || 'MANUAL' }, ...history }
+            : { $set: { status, statusChangedAt: new Date() }, $unset: { closedReason: 1 }, ...history },
+        { new: true }
+    );
+    if (!updated)
+        return { error: 'Event status changed in the meantime. Please refresh and try again.' };
+
+    // Reopening is never announced either (see notifyEventChange)
+    if (!capacityFlip)
+        await notifyEventChange(updated, change);
+    return { event: updated };
+};
+
+/**
+ * Move an event to the status its schedule calls for right now, if any.
+ * Resolves to { event, changed } or { error } when the transition lost a race.
+ */
+const applyScheduledStatus = async (event, { now = new Date() } = {}) => {
+    const checkCapacity = event.status === 'PUBLISHED' || isAutoClosed(event);
+    const isFull = checkCapacity && await isEventFull(event);
+
+    const scheduled = getScheduledStatus(event, { isFull, now });
+    if (!scheduled)
+        return { event, changed: false };
+
+    const { event: updated, error } = await transitionEventStatus(event, scheduled.status, { closedReason: scheduled.closedReason });
+    if (error)
+        return { error };
+    return { event: updated, changed: true };
+};
+
+module.exports = {
+    EVENT_STATUS_TRANSITIONS,
+    canTransition,
+    isAutoClosed,
+    getScheduledStatus,
+    transitionEventStatus,
+    applyScheduledStatus,
+};
@@ -0,0 +1,304 @@
+const { getOrderLines } = require('./merchOrder');
+const { escapeCsv } = require('./csv');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Parse ?from=&to= into a date range (to is inclusive of the whole day when given as a date).
+ * Returns { range } or { error }.
+ */
+const parseDateRange = ({ from, to }) => {
+    const range = {};
+    if (from) {
+        range.from = new Date(from);
+        if (isNaN(range.from))
+            return { error: 'from must be a valid date' };
+    }
+    if (to) {
+        range.to = new Date(to);
+        if (isNaN(range.to))
+            return { error: 'to must be a valid date' };
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to))
+            range.to.setUTCHours(23, 59, 59, 999);
+    }
+    if (range.from && range.to && range.from > range.to)
+        return { error: 'from must be before to' };
+    return { range };
+};
+
+const inRange = (date, range = {}) =>
+    !!date && (!range.from || date >= range.from) && (!range.to || date <= range.to);
+
+// Event fee charged on an order (fee-only orders carry it as their single item)
+const getRegistrationFee = (order) =>
+    order.sku === 'REGISTRATION_FEE' && !(order.items && order.items.length > 0)
+        ? Number(order.price || 0)
+        : Number(order.registrationFee || 0);
+
+/**
+ * Money on one registration, split into registration fee and merchandise.
+ * Coupon discounts come off both in proportion to their list price (feeShare).
+ * Registrations made before orders existed are read as their event's fee, paid on registration.
+ */
+const getOrderMoney = (registration, event) => {
+    const order = registration.order;
+
+    if (!order) {
+        const fee = registration.type === 'NORMAL' && registration.status === 'CONFIRMED' ? Number(event?.fee || 0) : 0;
+        return {
+            paymentStatus: fee > 0 ? 'APPROVED' : null,
+            paidAt: registration.createdAt,
+            gross: fee, discount: 0, collected: fee, refunded: 0,
+            feeShare: 1,
+            registrationFee: { gross: fee, collected: fee },
+            merchandise: { gross: 0, collected: 0 },
+            lines: [],
+            refunds: [],
+        };
+    }
+
+    const lines = getOrderLines(order);
+    const feeGross = getRegistrationFee(order);
+    const merchGross = lines.reduce((sum, line) => sum + Number(line.amount ?? (line.price || 0) * (line.quantity || 0)), 0);
+    const gross = feeGross + merchGross;
+    const discount = Number(order.discount || 0);
+    const collected = order.paymentStatus === 'APPROVED' ? Number(order.amountPaid || 0) : 0;
+    const feeShare = gross > 0 ? feeGross / gross : 0;
+
+    const refunds = (registration.refunds || []).filter(r => r.status === 'APPROVED' && r.amount > 0);
+
+    return {
+        paymentStatus: order.paymentStatus,
+        paidAt: order.paidAt || (order.paymentStatus === 'APPROVED' ? registration.createdAt : null),
+        gross,
+        discount,
+        amountDue: Number(order.amountPaid || 0),
+        collected,
+        refunded: Number(order.refundedAmount || 0),
+        feeShare,
+        registrationFee: {
+            gross: feeGross,
+            collected: roundMoney(collected * feeShare),
+        },
+        merchandise: {
+            gross: merchGross,
+            collected: roundMoney(collected * (1 - feeShare)),
+        },
+        lines,
+        refunds,
+    };
+};
+
+const emptyBucket = () => ({ count: 0, amount: 0 });
+
+/**
+ * Finance report over a set of registrations.
+ * eventsById maps event ID strings to events. range ({ from, to }) limits the money
+ * movements (payments by paid date, refunds by processed date) that are counted.
+ */
+const buildFinanceReport = (registrations, eventsById, range = {}) => {
+    const byCategory = {
+        registrationFee: { gross: 0, collected: 0, refunded: 0 },
+        merchandise: { gross: 0, collected: 0, refunded: 0 },
+    };
+    const byPaymentStatus = { PENDING: emptyBucket(), APPROVED: emptyBucket(), REJECTED: emptyBucket() };
+    const bySku = new Map();
+    const byDay = new Map();
+    const refundSummary = { approved: emptyBucket(), requested: emptyBucket(), rejected: 0 };
+    let totalDiscount = 0;
+
+    const day = (date) => {
+        const key = dayKey(date);
+        if (!byDay.has(key))
+            byDay.set(key, { date: key, orders: 0, collected: 0, refunded: 0 });
+        return byDay.get(key);
+    };
+
+    for (const registration of registrations) {
+        const event = eventsById.get(registration.eventId.toString());
+        const money = getOrderMoney(registration, event);
+        if (!money.paymentStatus)
+            continue;
+
+        const paidInRange = money.paymentStatus === 'APPROVED' && inRange(money.paidAt, range);
+        const placedInRange = inRange(registration.createdAt, range);
+
+        // Orders awaiting or refused payment are counted by when they were placed;
+        // a registration cancelled before paying is no longer awaiting anything
+        const abandoned = money.paymentStatus === 'PENDING' && registration.status === 'CANCELLED';
+        if (!abandoned && (money.paymentStatus === 'APPROVED' ? paidInRange : placedInRange)) {
+            const bucket = byPaymentStatus[money.paymentStatus];
+            bucket.count += 1;
+            bucket.amount += money.paymentStatus === 'APPROVED' ? money.collected : money.amountDue;
+        }
+
+        if (paidInRange) {
+            totalDiscount += money.discount;
+            for (const category of ['registrationFee', 'merchandise']) {
+                byCategory[category].gross += money[category].gross;
+                byCategory[category].collected += money[category].collected;
+            }
+
+            const entry = day(money.paidAt);
+            entry.orders += 1;
+            entry.collected += money.collected;
+
+            for (const line of money.lines) {
+                const key = `${line.sku}|${line.variant?.size || ''}|${line.variant?.color || ''}`;
+                const sku = bySku.get(key) || {
+                    sku: line.sku,
+                    name: line.name,
+                    variant: { size: line.variant?.size, color: line.variant?.color },
+                    unitsSold: 0,
+                    unitsRefunded: 0,
+                    gross: 0,
+                    refunded: 0,
+                };
+                sku.unitsSold += line.quantity || 0;
+                sku.unitsRefunded += line.refundedQuantity || 0;
+                sku.gross += Number(line.amount ?? (line.price || 0) * (line.quantity || 0));
+                sku.refunded += (line.refundedQuantity || 0) * (line.price || 0);
+                bySku.set(key, sku);
+            }
+        }
+
+        // Refunds count on the day they were paid out
+        for (const refund of money.refunds) {
+            if (!inRange(refund.processedAt, range))
+                continue;
+            refundSummary.approved.count += 1;
+            refundSummary.approved.amount += refund.amount;
+            day(refund.processedAt).refunded += refund.amount;
+
+            // Returned items are merchandise; a full refund gives back both in proportion
+            const feePart = refund.type === 'PARTIAL' ? 0 : refund.amount * money.feeShare;
+            byCategory.registrationFee.refunded += feePart;
+            byCategory.merchandise.refunded += refund.amount - feePart;
+        }
+
+        for (const refund of registration.refunds || []) {
+            if (refund.status === 'REQUESTED') {
+                refundSummary.requested.count += 1;
+                refundSummary.requested.amount += refund.suggestedAmount || 0;
+            } else if (refund.status === 'REJECTED' && inRange(refund.processedAt, range)) {
+                refundSummary.rejected += 1;
+            }
+        }
+    }
+
+    const collected = byCategory.registrationFee.collected + byCategory.merchandise.collected;
+    const refunded = refundSummary.approved.amount;
+
+    const roundAll = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, typeof v === 'number' ? roundMoney(v) : v]));
+
+    return {
+        totals: roundAll({
+            gross: byCategory.registrationFee.gross + byCategory.merchandise.gross,
+            discount: totalDiscount,
+            collected,
+            refunded,
+            net: collected - refunded,
+        }),
+        byCategory: {
+            registrationFee: roundAll({ ...byCategory.registrationFee, net: byCategory.registrationFee.collected - byCategory.registrationFee.refunded }),
+            merchandise: roundAll({ ...byCategory.merchandise, net: byCategory.merchandise.collected - byCategory.merchandise.refunded }),
+        },
+        byPaymentStatus: Object.fromEntries(Object.entries(byPaymentStatus).map(([status, bucket]) => [status, roundAll(bucket)])),
+        refunds: {
+            approved: roundAll(refundSummary.approved),
+            requested: roundAll(refundSummary.requested),
+            rejected: refundSummary.rejected,
+        },
+        bySku: [...bySku.values()].map(sku => roundAll({ ...sku, net: sku.gross - sku.refunded })).sort((a, b) => b.gross - a.gross),
+        byDay: [...byDay.values()].map(entry => roundAll({ ...entry, net: entry.collected - entry.refunded })).sort((a, b) => a.date.localeCompare(b.date)),
+    };
+};
+
+const describePaymentMethod = (order) => {
+    if (!order) return 'unrecorded';
+    if (order.providerPaymentId) return order.paymentProvider;
+    return 'upi';
+};
+
+/**
+ * One row per money movement - payments in, refunds out - oldest first, with a running balance,
+ * for reconciling against bank statements.
+ * Registrations must have participantId populated with email and participantProfile.
+ */
+const buildSettlementRows = (registrations, eventsById, range = {}) => {
+    const rows = [];
+
+    for (const registration of registrations) {
+        const event = eventsById.get(registration.eventId.toString());
+        const money = getOrderMoney(registration, event);
+        const order = registration.order;
+        const participant = registration.participantId;
+        const common = {
+            eventId: registration.eventId.toString(),
+            eventTitle: event?.title,
+            registrationId: registration._id.toString(),
+            ticketId: registration.ticketId,
+            participantName: `${participant?.participantProfile?.firstname || ''} ${participant?.participantProfile?.lastname || ''}`.trim(),
+            participantEmail: participant?.email,
+            receiptNumber: order?.receiptNumber || '',
+        };
+
+        if (money.paymentStatus === 'APPROVED' && money.collected > 0 && inRange(money.paidAt, range)) {
+            rows.push({
+                date: money.paidAt,
+                type: 'PAYMENT',
+                ...common,
+                method: describePaymentMethod(order),
+                reference: order?.providerPaymentId || order?.upiReference || '',
+                couponCode: order?.couponCode || '',
+                gross: roundMoney(money.gross),
+                discount: roundMoney(money.discount),
+                amount: roundMoney(money.collected),
+            });
+        }
+
+        for (const refund of money.refunds) {
+            if (!inRange(refund.processedAt, range))
+                continue;
+            rows.push({
+                date: refund.processedAt,
+                type: refund.type === 'PARTIAL' ? 'PARTIAL_REFUND' : 'REFUND',
+                ...common,
+                method: describePaymentMethod(order),
+                reference: refund.reference || '',
+                couponCode: '',
+                gross: 0,
+                discount: 0,
+                amount: -roundMoney(refund.amount),
+            });
+        }
+    }
+
+    rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+    for (const row of rows) {
+        balance = roundMoney(balance + row.amount);
+        row.date = new Date(row.date).toISOString();
+        row.balance = balance;
+    }
+
+    return rows;
+};
+
+const SETTLEMENT_COLUMNS = [
+    ['date', 'Date'], ['type', 'Type'], ['eventTitle', 'Event'], ['receiptNumber', 'Receipt No'],
+    ['ticketId', 'Ticket ID'], ['participantName', 'Participant'], ['participantEmail', 'Email'],
+    ['method', 'Method'], ['reference', 'Reference'], ['couponCode', 'Coupon'],
+    ['gross', 'Gross'], ['discount', 'Discount'], ['amount', 'Amount'], ['balance', 'Balance'],
+];
+
+const toSettlementCsv = (rows) => {
+    const header = SETTLEMENT_COLUMNS.map(([, title]) => escapeCsv(title)).join(',');
+    const body = rows.map(row => SETTLEMENT_COLUMNS.map(([key]) => escapeCsv(row[key])).join(','));
+    return [header, ...body].join('\n') + '\n';
+};
+
+module.exports = { parseDateRange, getOrderMoney, buildFinanceReport, buildSettlementRows, toSettlementCsv };
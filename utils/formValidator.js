@@ -0,0 +1,253 @@
+// Field types an organizer can put on a registration form
+const FIELD_TYPES = [
+    'text', 'textarea', 'number', 'email', 'phone', 'date', 'url',
+    'select', 'multiselect', 'checkbox', 'file',
+];
+
+const VISIBILITY_OPERATORS = ['equals', 'notEquals', 'includes', 'isFilled'];
+
+// Defaults when the organizer sets no maxLength
+const DEFAULT_MAX_LENGTH = { text: 500, textarea: 5000 };
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9\s\-()]{7,20}$/;
+
+// Uploaded form files live here, named after their uploader (see uploadFormFile in config/multer.js)
+const FORM_UPLOAD_PREFIX = '/uploads/forms/';
+
+const ownUploadPrefix = (uploaderId) => `${FORM_UPLOAD_PREFIX}form-${uploaderId}-`;
+
+const isEmpty = (value) =>
+    value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+
+const compilePattern = (pattern) => {
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check an organizer-defined form schema before it is saved.
+ * Returns null when valid, otherwise an error message.
+ */
+const validateFormSchema = (fields) => {
+    if (fields === undefined || fields === null)
+        return null;
+
+    if (!Array.isArray(fields))
+        return 'Form schema must be an array of fields';
+
+    const ids = new Set();
+    for (const field of fields) {
+        const label = field?.label || field?.fieldId || 'Unnamed field';
+
+        if (!field || !field.fieldId || !field.label)
+            return 'Every form field needs a fieldId and a label';
+
+        if (ids.has(field.fieldId))
+            return `Duplicate form fieldId "${field.fieldId}"`;
+        ids.add(field.fieldId);
+
+        if (!FIELD_TYPES.includes(field.type))
+            return `Field "${label}" has unsupported type "${field.type}"`;
+
+        if (['select', 'multiselect'].includes(field.type) && (!Array.isArray(field.options) || field.options.length === 0))
+            return `Field "${label}" needs at least one option`;
+
+        if (field.min !== undefined && field.max !== undefined && field.min !== null && field.max !== null && Number(field.min) > Number(field.max))
+            return `Field "${label}" has min greater than max`;
+
+        if (field.minLength && field.maxLength && Number(field.minLength) > Number(field.maxLength))
+            return `Field "${label}" has minLength greater than maxLength`;
+
+        if (field.pattern && !compilePattern(field.pattern))
+            return `Field "${label}" has an invalid pattern`;
+
+        if (field.visibleIf && field.visibleIf.fieldId) {
+            if (field.visibleIf.fieldId === field.fieldId)
+                return `Field "${label}" cannot depend on itself`;
+
+            if (!fields.some(f => f.fieldId === field.visibleIf.fieldId))
+                return `Field "${label}" depends on unknown field "${field.visibleIf.fieldId}"`;
+
+            if (field.visibleIf.operator && !VISIBILITY_OPERATORS.includes(field.visibleIf.operator))
+                return `Field "${label}" has unsupported visibility operator "${field.visibleIf.operator}"`;
+        }
+    }
+
+    return null;
+};
+
+// Whether a field is shown, given the (raw) answers to the fields it depends on
+const isFieldVisible = (field, fieldsById, data, seen = new Set()) => {
+    const rule = field.visibleIf;
+    if (!rule || !rule.fieldId)
+        return true;
+
+    // A field whose controlling field is hidden is hidden too (guard against cycles)
+    const parent = fieldsById.get(rule.fieldId);
+    if (!parent || seen.has(parent.fieldId))
+        return false;
+    seen.add(field.fieldId);
+    if (!isFieldVisible(parent, fieldsById, data, seen))
+        return false;
+
+    const answer = data[rule.fieldId];
+    switch (rule.operator || 'equals') {
+        case 'isFilled':
+            return !isEmpty(answer) && answer !== false;
+        case 'includes':
+            return Array.isArray(answer) ? answer.map(String).includes(String(rule.value)) : String(answer ?? '').includes(String(rule.value));
+        case 'notEquals':
+            return String(answer ?? '') !== String(rule.value ?? '');
+        case 'equals':
+        default:
+            return String(answer ?? '') === String(rule.value ?? '');
+    }
+};
+
+// Validate one non-empty answer. Returns [error, normalizedValue].
+const checkValue = (field, value, { uploaderId } = {}) => {
+    const options = field.options || [];
+
+    switch (field.type) {
+        case 'number': {
+            const num = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isFinite(num))
+                return ['Must be a number'];
+            if (field.min !== undefined && field.min !== null && num < field.min)
+                return [`Must be at least ${field.min}`];
+            if (field.max !== undefined && field.max !== null && num > field.max)
+                return [`Must be at most ${field.max}`];
+            return [null, num];
+        }
+
+        case 'date': {
+            const date = new Date(value);
+            if (isNaN(date))
+                return ['Must be a valid date'];
+            if (field.minDate && date < new Date(field.minDate))
+                return [`Must be on or after ${new Date(field.minDate).toISOString().split('T')[0]}`];
+            if (field.maxDate && date > new Date(field.maxDate))
+                return [`Must be on or before ${new Date(field.maxDate).toISOString().split('T')[0]}`];
+            return [null, date.toISOString()];
+        }
+
+        case 'select':
+            if (!options.includes(String(value)))
+                return ['Please choose one of the listed options'];
+            return [null, String(value)];
+
+        case 'multiselect': {
+            if (!Array.isArray(value))
+                return ['Must be a list of options'];
+            const selected = [...new Set(value.map(String))];
+            if (selected.some(v => !options.includes(v)))
+                return ['Please choose only listed options'];
+            if (field.min && selected.length < field.min)
+                return [`Select at least ${field.min} options`];
+            if (field.max && selected.length > field.max)
+                return [`Select at most ${field.max} options`];
+            return [null, selected];
+        }
+
+        case 'checkbox':
+            // A checkbox with options is a pick-many list; without options it is a single yes/no
+            if (options.length > 0) {
+                if (!Array.isArray(value) || value.some(v => !options.includes(String(v))))
+                    return ['Please choose only listed options'];
+                return [null, value.map(String)];
+            }
+            if (typeof value !== 'boolean' && value !== 'true' && value !== 'false')
+                return ['Must be checked or unchecked'];
+            return [null, value === true || value === 'true'];
+
+        case 'file':
+            // Only files the submitter uploaded themselves
+            if (typeof value !== 'string' || !uploaderId || !value.startsWith(ownUploadPrefix(uploaderId)) || value.includes('..'))
+                return ['Please upload the file using the form upload endpoint'];
+            return [null, value];
+
+        default: {
+            // text-like fields: text, textarea, email, phone, url
+            if (typeof value !== 'string' && typeof value !== 'number')
+                return ['Must be text'];
+            const text = String(value).trim();
+
+            if (field.type === 'email' && !EMAIL_REGEX.test(text))
+                return ['Must be a valid email address'];
+
+            if (field.type === 'phone') {
+                const digits = text.replace(/\D/g, '');
+                if (!PHONE_REGEX.test(text) || digits.length < 7 || digits.length > 15)
+                    return ['Must be a valid phone number'];
+            }
+
+            if (field.type === 'url') {
+                let url;
+                try {
+                    url = new URL(text);
+                } catch (error) {
+                    return ['Must be a valid URL'];
+                }
+                if (!['http:', 'https:'].includes(url.protocol))
+                    return ['Must be an http(s) URL'];
+            }
+
+            const maxLength = field.maxLength || DEFAULT_MAX_LENGTH[field.type];
+            if (field.minLength && text.length < field.minLength)
+                return [`Must be at least ${field.minLength} characters`];
+            if (maxLength && text.length > maxLength)
+                return [`Must be at most ${maxLength} characters`];
+
+            if (field.pattern) {
+                const regex = compilePattern(field.pattern);
+                if (regex && !regex.test(text))
+                    return [field.patternMessage || 'Invalid format'];
+            }
+
+            return [null, text];
+        }
+    }
+};
+
+/**
+ * Validate a participant's answers against an event's form schema.
+ * Hidden and unknown fields are dropped from the stored response. File answers must be
+ * uploads made by uploaderId, the participant submitting the form.
+ * Returns { errors, values } – errors is keyed by fieldId and empty when valid.
+ */
+const validateFormResponse = (fields, data, { uploaderId } = {}) => {
+    const errors = {};
+    const values = {};
+    const answers = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+
+    const fieldsById = new Map((fields || []).map(f => [f.fieldId, f]));
+
+    for (const field of fields || []) {
+        if (!isFieldVisible(field, fieldsById, answers))
+            continue;
+
+        const value = answers[field.fieldId];
+
+        if (isEmpty(value) || (field.type === 'checkbox' && value === false && field.required)) {
+            if (field.required)
+                errors[field.fieldId] = field.type === 'checkbox' ? 'This box must be checked' : 'This field is required';
+            continue;
+        }
+
+        const [error, normalized] = checkValue(field, value, { uploaderId });
+        if (error)
+            errors[field.fieldId] = error;
+        else
+            values[field.fieldId] = normalized;
+    }
+
+    return { errors, values };
+};
+
+module.exports = { FIELD_TYPES, VISIBILITY_OPERATORS, validateFormSchema, validateFormResponse };
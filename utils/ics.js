@@ -0,0 +1,125 @@
+/*
+ * Minimal iCalendar (RFC 5545) writer for event downloads and subscribable feeds.
+ * Feeds are rebuilt on every request, so calendar apps pick up changed dates on their
+ * next refresh; SEQUENCE and LAST-MODIFIED come from the event's updatedAt so they
+ * treat the new version as an update rather than a duplicate.
+ */
+const PRODID = '-//Felicity//Event Calendar//EN';
+const UID_DOMAIN = 'felicity.events';
+
+// Events without an end time are shown as two hours long
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+const escapeText = (value) =>
+    String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are continued on the next line after a space
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75)
+        return line;
+
+    const parts = [];
+    let start = 0;
+    let limit = 75;
+    while (start < bytes.length) {
+        let end = Math.min(start + limit, bytes.length);
+        // Don't split a multi-byte character
+        while (end < bytes.length && (bytes[end] & 0xc0) === 0x80)
+            end--;
+        parts.push(bytes.subarray(start, end).toString('utf8'));
+        start = end;
+        limit = 74; // the leading space counts
+    }
+    return parts.join('\r\n ');
+};
+
+/**
+ * Calendar entries for an event: one per session for multi-session events
+ * (limited to sessionIds when given), otherwise one for the whole event.
+ */
+const eventEntries = (event, { sessionIds, url } = {}) => {
+    const base = {
+        description: event.description,
+        location: event.venue,
+        url,
+        updatedAt: event.updatedAt,
+        cancelled: event.status === 'CANCELLED',
+    };
+
+    const sessions = (event.sessions || []).filter(s => !sessionIds || sessionIds.length === 0 || sessionIds.includes(s.sessionId));
+    if (sessions.length > 0) {
+        return sessions.map(session => ({
+            ...base,
+            uid: `${event._id}-${session.sessionId}@${UID_DOMAIN}`,
+            title: `${event.title}: ${session.title}`,
+            description: session.description || event.description,
+            location: session.venue || event.venue,
+            start: session.startTime,
+            end: session.endTime,
+        }));
+    }
+
+    if (!event.eventStartDate)
+        return [];
+
+    return [{
+        ...base,
+        uid: `${event._id}@${UID_DOMAIN}`,
+        title: event.title,
+        start: event.eventStartDate,
+        end: event.eventEndDate,
+    }];
+};
+
+/**
+ * Render calendar entries ([{ uid, title, description, location, url, start, end, updatedAt, cancelled }])
+ * as an .ics document.
+ */
+const buildCalendar = ({ name, entries }) => {
+    const now = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'X-PUBLISHED-TTL:PT1H',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ];
+
+    for (const entry of entries) {
+        const start = new Date(entry.start);
+        const end = entry.end && new Date(entry.end) > start ? new Date(entry.end) : new Date(start.getTime() + DEFAULT_DURATION_MS);
+        const updatedAt = entry.updatedAt ? new Date(entry.updatedAt) : null;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${entry.uid}`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${formatDateTime(start)}`,
+            `DTEND:${formatDateTime(end)}`,
+            `SUMMARY:${escapeText(entry.title)}`,
+        );
+        if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+        if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+        if (entry.url) lines.push(`URL:${entry.url}`);
+        if (updatedAt) {
+            lines.push(`LAST-MODIFIED:${formatDateTime(updatedAt)}`);
+            lines.push(`SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`);
+        }
+        lines.push(`STATUS:${entry.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { eventEntries, buildCalendar };
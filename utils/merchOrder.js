@@ -0,0 +1,138 @@
+/**
+ * Line items of a merch order. Orders placed before carts existed carry
+ * their single item on the order itself, so they are read as a one-line cart.
+ */
+const getOrderLines = (order) => {
+    if (!order)
+        return [];
+
+    if (order.items && order.items.length > 0)
+        return order.items;
+
+    if (order.sku && order.sku !== 'REGISTRATION_FEE') {
+        return [{
+            sku: order.sku,
+            name: order.name,
+            variant: order.variant,
+            quantity: order.quantity,
+            price: order.price,
+            amount: (order.price || 0) * (order.quantity || 0),
+            refundedQuantity: order.refundedQuantity || 0,
+        }];
+    }
+
+    return [];
+};
+
+// Lines still held by an order, net of any items returned through refunds
+const getHeldLines = (order) =>
+    getOrderLines(order)
+        .map(line => ({
+            sku: line.sku,
+            name: line.name,
+            variant: line.variant,
+            price: line.price,
+            quantity: line.quantity - (line.refundedQuantity || 0),
+        }))
+        .filter(line => line.quantity > 0);
+
+const isPrice = (value) => value !== undefined && value !== null && value !== '';
+
+// Unit price of a variant: its own price, else the item's, else the event-wide merchandise fee
+const getUnitPrice = (event, item, variant) => {
+    if (isPrice(variant?.price)) return Number(variant.price);
+    if (isPrice(item?.price)) return Number(item.price);
+    return Number(event.merchandiseFee || 0);
+};
+
+/**
+ * Check an organizer's merchandise catalogue before it is saved.
+ * Returns null when valid, otherwise an error message.
+ */
+const validateMerchItems = (items) => {
+    if (items === undefined || items === null)
+        return null;
+
+    if (!Array.isArray(items))
+        return 'Items must be an array';
+
+    const skus = new Set();
+    for (const item of items) {
+        if (!item || !item.sku || !item.name)
+            return 'Every item needs a sku and a name';
+
+        if (item.sku === 'REGISTRATION_FEE')
+            return 'REGISTRATION_FEE is a reserved sku';
+
+        if (skus.has(item.sku))
+            return `Duplicate item sku "${item.sku}"`;
+        skus.add(item.sku);
+
+        if (isPrice(item.price) && !(Number(item.price) >= 0))
+            return `Item "${item.name}" has an invalid price`;
+
+        for (const variant of item.variants || []) {
+            if (isPrice(variant.price) && !(Number(variant.price) >= 0))
+                return `A variant of "${item.name}" has an invalid price`;
+
+            if (variant.stock !== undefined && (!Number.isInteger(Number(variant.stock)) || Number(variant.stock) < 0))
+                return `A variant of "${item.name}" has invalid stock`;
+        }
+    }
+
+    return null;
+};
+
+const findVariant = (event, line) => {
+    const item = (event.items || []).find(i => i.sku === line.sku);
+    const variant = item?.variants?.find(v => v.size === line.variant?.size && v.color === line.variant?.color);
+    return { item, variant };
+};
+
+/**
+ * Check a requested cart against the event's catalogue and current stock,
+ * pricing each line from the catalogue. Repeated sku/variant pairs are merged.
+ * Returns { lines } or { error }.
+ */
+const buildCartLines = (event, requested) => {
+    if (!Array.isArray(requested) || requested.length === 0)
+        return { error: 'Your cart is empty' };
+
+    const merged = new Map();
+    for (const entry of requested) {
+        if (!entry || !entry.sku || !entry.variant || typeof entry.quantity !== 'number')
+            return { error: 'Order details (sku, variant, quantity) are required for every item' };
+
+        if (!Number.isInteger(entry.quantity) || entry.quantity < 1)
+            return { error: 'Quantity must be a positive whole number' };
+
+        const { item, variant } = findVariant(event, entry);
+        if (!item)
+            return { error: `Invalid item selected: ${entry.sku}` };
+        if (!variant)
+            return { error: `Invalid variant selected for ${item.name}` };
+
+        const key = `${item.sku}|${variant.size}|${variant.color}`;
+        const line = merged.get(key) || {
+            sku: item.sku,
+            name: item.name,
+            variant: { size: variant.size, color: variant.color },
+            quantity: 0,
+            price: getUnitPrice(event, item, variant),
+        };
+        line.quantity += entry.quantity;
+        merged.set(key, line);
+    }
+
+    const lines = [...merged.values()];
+    for (const line of lines) {
+        const { item, variant } = findVariant(event, line);
+        if (variant.stock < line.quantity)
+            return { error: `Only ${variant.stock} left of ${item.name} (${variant.size}, ${variant.color})` };
+        line.amount = line.price * line.quantity;
+    }
+
+    return { lines };
+};
+
+module.exports = { getOrderLines, getHeldLines, getUnitPrice, validateMerchItems, findVariant, buildCartLines };
@@ -0,0 +1,19 @@
+const manual = require('./manual');
+const mock = require('./mock');
+const razorpay = require('./razorpay');
+
+/*
+ * Every provider implements:
+ *   createOrder({ amount, currency, receipt, notes }) -> { providerOrderId, checkout }
+ *   verifyWebhook(rawBody, headers)                  -> boolean
+ *   parseWebhook(body, headers)                      -> { eventId, status: 'PAID' | 'FAILED' | null,
+ *                                                         providerOrderId, providerPaymentId, amount, error }
+ */
+const providers = { manual, mock, razorpay };
+
+const getProvider = (name) => providers[name] || null;
+
+// PAYMENT_PROVIDER picks the gateway participants check out with; manual proof upload always remains
+const getActiveProvider = () => providers[process.env.PAYMENT_PROVIDER] || manual;
+
+module.exports = { getProvider, getActiveProvider };
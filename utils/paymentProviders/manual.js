@@ -0,0 +1,21 @@
+/*
+ * Manual provider: the participant pays out of band (UPI, bank transfer) and uploads
+ * a screenshot, which the organizer checks in approvePayment. Always available as
+ * the fallback, whichever gateway is configured.
+ */
+module.exports = {
+    name: 'manual',
+    supportsCheckout: false,
+
+    createOrder: async () => ({
+        providerOrderId: null,
+        checkout: {
+            provider: 'manual',
+            instructions: 'Pay the organizer directly and upload a screenshot of the payment as proof.',
+        },
+    }),
+
+    verifyWebhook: () => false,
+
+    parseWebhook: () => null,
+};
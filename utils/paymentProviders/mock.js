@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/*
+ * Mock provider for local development and tests. Orders are created locally and
+ * "paid" by posting a webhook signed with MOCK_PAYMENT_SECRET:
+ *
+ *     { id, event: 'payment.succeeded' | 'payment.failed', orderId, paymentId, amount, error }
+ *
+ * with header x-mock-signature = hex HMAC-SHA256 of the raw body. Without MOCK_PAYMENT_SECRET
+ * no webhook verifies; the simulate endpoint still works as it skips verification.
+ */
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || null;
+
+const sign = (rawBody, secret) =>
+    crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a || ''));
+    const bufB = Buffer.from(String(b || ''));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+module.exports = {
+    name: 'mock',
+    supportsCheckout: true,
+
+    createOrder: async ({ amount, currency }) => {
+        const providerOrderId = `mock_order_${crypto.randomUUID()}`;
+        return {
+            providerOrderId,
+            checkout: { provider: 'mock', orderId: providerOrderId, amount, currency },
+        };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+        const secret = getSecret();
+        return !!secret && !!rawBody && safeEqual(sign(rawBody, secret), headers['x-mock-signature']);
+    },
+
+    parseWebhook: (body) => ({
+        eventId: body.id,
+        status: body.event === 'payment.succeeded' ? 'PAID' : body.event === 'payment.failed' ? 'FAILED' : null,
+        providerOrderId: body.orderId,
+        providerPaymentId: body.paymentId,
+        amount: Number(body.amount),
+        error: body.error,
+    }),
+
+    // Build a signed webhook as the gateway would send it (used by the dev-only simulate endpoint)
+    buildWebhook: ({ providerOrderId, amount, succeed = true }) => {
+        const body = {
+            id: `mock_evt_${crypto.randomUUID()}`,
+            event: succeed ? 'payment.succeeded' : 'payment.failed',
+            orderId: providerOrderId,
+            paymentId: `mock_pay_${crypto.randomUUID()}`,
+            amount,
+            ...(!succeed && { error: 'Payment declined (simulated)' }),
+        };
+        const rawBody = Buffer.from(JSON.stringify(body));
+        const secret = getSecret();
+        return { body, rawBody, headers: secret ? { 'x-mock-signature': sign(rawBody, secret) } : {} };
+    },
+};
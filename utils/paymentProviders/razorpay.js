@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const https = require('https');
+
+/*
+ * Razorpay: orders are created through the REST API and confirmed by the
+ * payment.captured webhook, signed with RAZORPAY_WEBHOOK_SECRET.
+ * Needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET.
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+const apiRequest = (path, payload) => new Promise((resolve, reject) => {
+    const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET } = process.env;
+    if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET)
+        return reject(new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be defined'));
+
+    const data = JSON.stringify(payload);
+    const req = https.request({
+        hostname: 'api.razorpay.com',
+        path: `/v1${path}`,
+        method: 'POST',
+        auth: `${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data),
+        },
+    }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => body += chunk);
+        res.on('end', () => {
+            let parsed = null;
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                // fall through with parsed = null
+            }
+
+            if (res.statusCode >= 400 || !parsed)
+                return reject(new Error(parsed?.error?.description || `Razorpay responded with ${res.statusCode}`));
+            resolve(parsed);
+        });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error('Razorpay request timed out')));
+    req.on('error', reject);
+    req.write(data);
+    req.end();
+});
+
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a || ''));
+    const bufB = Buffer.from(String(b || ''));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+module.exports = {
+    name: 'razorpay',
+    supportsCheckout: true,
+
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+        const order = await apiRequest('/orders', {
+            amount: Math.round(amount * 100), // paise
+            currency,
+            receipt: String(receipt).substring(0, 40),
+            notes,
+        });
+
+        return {
+            providerOrderId: order.id,
+            checkout: {
+                provider: 'razorpay',
+                keyId: process.env.RAZORPAY_KEY_ID,
+                orderId: order.id,
+                amount: order.amount,
+                currency: order.currency,
+            },
+        };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+        if (!secret || !rawBody)
+            return false;
+
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+        return safeEqual(expected, headers['x-razorpay-signature']);
+    },
+
+    parseWebhook: (body, headers) => {
+        const payment = body.payload?.payment?.entity;
+
+        // order.paid duplicates payment.captured, so only payment events are acted on
+        const status = body.event === 'payment.captured' ? 'PAID'
+            : body.event === 'payment.failed' ? 'FAILED'
+            : null;
+
+        return {
+            eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment?.id}`,
+            status,
+            providerOrderId: payment?.order_id,
+            providerPaymentId: payment?.id,
+            amount: payment ? payment.amount / 100 : undefined,
+            error: payment?.error_description,
+        };
+    },
+};
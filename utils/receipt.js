@@ -0,0 +1,197 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Registration = require('../models/Registration');
+const { getOrderLines } = require('./merchOrder');
+
+// Receipt numbers look like FEL-2026-000042 and restart every calendar year
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'FEL';
+
+// The built-in PDF fonts have no rupee sign
+const formatAmount = (amount) => `INR ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date, withTime = false) =>
+    date
+        ? new Date(date).toLocaleString('en-IN', withTime ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' })
+        : '-';
+
+// Only orders someone actually paid for get a receipt
+const isReceiptable = (order) =>
+    !!order && order.paymentStatus === 'APPROVED' && Number(order.amountPaid || 0) > 0;
+
+/**
+ * Give a paid registration its receipt number, if it does not have one yet.
+ * The number is written straight to the database so concurrent calls agree on it.
+ * Resolves to the receipt number, or null for orders that get no receipt.
+ */
+const issueReceipt = async (registration) => {
+    const order = registration.order;
+    if (!isReceiptable(order))
+        return null;
+
+    if (order.receiptNumber)
+        return order.receiptNumber;
+
+    const issuedAt = new Date();
+    const year = issuedAt.getFullYear();
+    const seq = await Counter.next(`receipt-${year}`);
+    const receiptNumber = `${RECEIPT_PREFIX}-${year}-${String(seq).padStart(6, '0')}`;
+
+    const result = await Registration.updateOne(
+        { _id: registration._id, 'order.receiptNumber': { $exists: false } },
+        { $set: { 'order.receiptNumber': receiptNumber, 'order.receiptIssuedAt': issuedAt } }
+    );
+
+    if (result.modifiedCount === 0) {
+        // Someone else numbered it first
+        const current = await Registration.findById(registration._id).select('order.receiptNumber order.receiptIssuedAt');
+        order.receiptNumber = current?.order?.receiptNumber;
+        order.receiptIssuedAt = current?.order?.receiptIssuedAt;
+    } else {
+        order.receiptNumber = receiptNumber;
+        order.receiptIssuedAt = issuedAt;
+    }
+
+    return order.receiptNumber;
+};
+
+// What the participant paid for, one line per item plus the event fee
+const getReceiptLines = (order) => {
+    const lines = getOrderLines(order).map(line => ({
+        description: `${line.name || line.sku}${line.variant?.size || line.variant?.color ? ` (${[line.variant.size, line.variant.color].filter(Boolean).join(' / ')})` : ''}`,
+        quantity: line.quantity,
+        unitPrice: line.price,
+        amount: line.amount ?? (line.price || 0) * (line.quantity || 0),
+    }));
+
+    // Registration-fee-only orders carry the fee as their single item
+    if (order.sku === 'REGISTRATION_FEE' && !(order.items && order.items.length > 0)) {
+        lines.push({ description: order.name || 'Event Registration', quantity: 1, unitPrice: order.price, amount: order.price });
+    } else if (order.registrationFee > 0) {
+        lines.push({ description: 'Event Registration', quantity: 1, unitPrice: order.registrationFee, amount: order.registrationFee });
+    }
+
+    return lines;
+};
+
+const describePayment = (order) => {
+    if (order.providerPaymentId)
+        return `${order.paymentProvider} (${order.providerPaymentId})`;
+    if (order.upiReference)
+        return `UPI (ref. ${order.upiReference})`;
+    return 'UPI (verified by organizer)';
+};
+
+// Draw one receipt on the current page of doc
+const renderReceipt = (doc, { registration, event, organizer, participant }) => {
+    const order = registration.order;
+    const org = organizer?.organizerProfile || {};
+    const profile = participant?.participantProfile || {};
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header: organizer on the left, receipt details on the right
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(20).text('RECEIPT', left, top);
+    doc.font('Helvetica-Bold').fontSize(11).text(org.name || 'Organizer', left, top + 30, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9);
+    if (org.address) doc.text(org.address, { width: width / 2 });
+    if (org.contactEmail) doc.text(org.contactEmail);
+    if (org.contactNumber) doc.text(org.contactNumber);
+    doc.text(`GSTIN: ${org.gstin || 'Not registered'}`);
+    const leftBottom = doc.y;
+
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Receipt No: ${order.receiptNumber}`, left + width / 2, top + 30, { width: width / 2, align: 'right' });
+    doc.text(`Date: ${formatDate(order.receiptIssuedAt || order.paidAt)}`, { width: width / 2, align: 'right' });
+    doc.text(`Ticket ID: ${registration.ticketId}`, { width: width / 2, align: 'right' });
+    doc.y = Math.max(leftBottom, doc.y) + 20;
+
+    // Billed to and event
+    const infoTop = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, infoTop);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`${profile.firstname || ''} ${profile.lastname || ''}`.trim() || '-');
+    if (participant?.email) doc.text(participant.email);
+    if (profile.college) doc.text(profile.college);
+    const billedBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Event', left + width / 2, infoTop, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(event.title, { width: width / 2 });
+    doc.text(formatDate(event.eventStartDate, true), { width: width / 2 });
+    if (event.venue) doc.text(event.venue, { width: width / 2 });
+    doc.y = Math.max(billedBottom, doc.y) + 20;
+
+    // Line items
+    const columns = [
+        { title: 'Description', x: left, width: width * 0.5, align: 'left' },
+        { title: 'Qty', x: left + width * 0.5, width: width * 0.1, align: 'right' },
+        { title: 'Unit price', x: left + width * 0.6, width: width * 0.2, align: 'right' },
+        { title: 'Amount', x: left + width * 0.8, width: width * 0.2, align: 'right' },
+    ];
+    const row = (values, font) => {
+        const y = doc.y;
+        doc.font(font).fontSize(9);
+        const heights = columns.map((col, i) => doc.heightOfString(values[i], { width: col.width }));
+        columns.forEach((col, i) => doc.text(values[i], col.x, y, { width: col.width, align: col.align }));
+        doc.y = y + Math.max(...heights) + 6;
+    };
+
+    row(columns.map(col => col.title), 'Helvetica-Bold');
+    doc.moveTo(left, doc.y - 3).lineTo(left + width, doc.y - 3).stroke();
+    for (const line of getReceiptLines(order))
+        row([line.description, String(line.quantity), formatAmount(line.unitPrice), formatAmount(line.amount)], 'Helvetica');
+    doc.moveTo(left, doc.y - 3).lineTo(left + width, doc.y - 3).stroke();
+
+    // Fee breakdown
+    const total = (label, amount, font = 'Helvetica') => {
+        const y = doc.y;
+        doc.font(font).fontSize(9);
+        doc.text(label, left + width * 0.5, y, { width: width * 0.3, align: 'right' });
+        doc.text(amount, left + width * 0.8, y, { width: width * 0.2, align: 'right' });
+        doc.y = y + 14;
+    };
+
+    const lineTotal = getReceiptLines(order).reduce((sum, line) => sum + Number(line.amount || 0), 0);
+    total('Subtotal', formatAmount(order.subtotal ?? lineTotal));
+    if (order.discount > 0)
+        total(`Discount${order.couponCode ? ` (${order.couponCode})` : ''}`, `- ${formatAmount(order.discount)}`);
+    total('Total paid', formatAmount(order.amountPaid), 'Helvetica-Bold');
+    if (order.refundedAmount > 0) {
+        total('Refunded', `- ${formatAmount(order.refundedAmount)}`);
+        total('Net amount', formatAmount(order.amountPaid - order.refundedAmount), 'Helvetica-Bold');
+    }
+
+    // Payment details
+    doc.y += 10;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Payment method: ${describePayment(order)}`, left, doc.y);
+    doc.text(`Paid on: ${formatDate(order.paidAt, true)}`);
+    doc.moveDown();
+    doc.fontSize(8).fillColor('#6b7280')
+        .text(org.gstin ? 'All amounts are inclusive of applicable taxes.' : 'The organizer is not GST registered; no tax has been charged.')
+        .text('This is a computer-generated receipt and needs no signature.')
+        .fillColor('black');
+};
+
+/**
+ * Render receipts into a single PDF, one per page.
+ * receipts: [{ registration, event, organizer, participant }] – each registration must already have a receipt number.
+ * Resolves to a Buffer.
+ */
+const generateReceiptPdf = (receipts) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const receipt of receipts) {
+        doc.addPage();
+        renderReceipt(doc, receipt);
+    }
+
+    doc.end();
+});
+
+module.exports = { isReceiptable, issueReceipt, getReceiptLines, generateReceiptPdf };
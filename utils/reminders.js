@@ -0,0 +1,73 @@
+// Longest lead time a reminder can have, and how many of each kind an event can set
+const MAX_REMINDER_HOURS = 30 * 24;
+const MAX_REMINDERS_PER_KIND = 5;
+
+const normalizeOffsets = (offsets, label) => {
+    if (!Array.isArray(offsets))
+        return { error: `${label} must be an array of hours` };
+
+    const hours = offsets.map(Number);
+    if (hours.some(h => !Number.isFinite(h) || h <= 0 || h > MAX_REMINDER_HOURS))
+        return { error: `${label} must be between 0 and ${MAX_REMINDER_HOURS} hours` };
+
+    const unique = [...new Set(hours)].sort((a, b) => b - a);
+    if (unique.length > MAX_REMINDERS_PER_KIND)
+        return { error: `At most ${MAX_REMINDERS_PER_KIND} ${label.toLowerCase()} can be set` };
+
+    return { hours: unique };
+};
+
+/**
+ * Merge an organizer's reminder settings update over the current settings.
+ * Returns { settings } or { error }.
+ */
+const normalizeReminderSettings = (input, current = {}) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input))
+        return { error: 'Reminder settings must be an object' };
+
+    const settings = {
+        enabled: current.enabled !== false,
+        eventStartHours: current.eventStartHours || [24, 1],
+        paymentDueHours: current.paymentDueHours || [24],
+        email: current.email !== false,
+    };
+
+    if (input.enabled !== undefined) settings.enabled = !!input.enabled;
+    if (input.email !== undefined) settings.email = !!input.email;
+
+    for (const [key, label] of [['eventStartHours', 'Event reminders'], ['paymentDueHours', 'Payment reminders']]) {
+        if (input[key] === undefined) continue;
+        const { hours, error } = normalizeOffsets(input[key], label);
+        if (error) return { error };
+        settings[key] = hours;
+    }
+
+    return { settings };
+};
+
+/**
+ * Which of an event's reminders (hours before target) is due now.
+ * Only the latest due one is sent; earlier ones that were missed (e.g. the server
+ * was down, or the participant registered late) are returned as skipped.
+ * Returns { hours, skipped } or null when none is due or the target has passed.
+ */
+const getDueReminder = (target, offsets, now = new Date()) => {
+    if (!target || now >= new Date(target))
+        return null;
+
+    const due = (offsets || [])
+        .filter(h => now >= new Date(new Date(target).getTime() - h * 60 * 60 * 1000))
+        .sort((a, b) => a - b);
+    if (due.length === 0)
+        return null;
+
+    return { hours: due[0], skipped: due.slice(1) };
+};
+
+// "1 hour", "24 hours", "2 days"
+const formatLeadTime = (hours) => {
+    if (hours >= 48 && hours % 24 === 0) return `${hours / 24} days`;
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+};
+
+module.exports = { normalizeReminderSettings, getDueReminder, formatLeadTime };
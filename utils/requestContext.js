@@ -0,0 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/*
+ * Who the current request is acting for, available anywhere down the call chain
+ * (e.g. model hooks writing the audit trail) without passing it through every function.
+ * authMiddleware starts the context; code outside a request (jobs) sees null.
+ */
+const storage = new AsyncLocalStorage();
+
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+const getRequestContext = () => storage.getStore() || null;
+
+// For routes where middleware such as multer calls next() from outside the request's context
+const restoreRequestContext = (req, res, next) =>
+    req.requestContext ? storage.run(req.requestContext, next) : next();
+
+module.exports = { runWithRequestContext, getRequestContext, restoreRequestContext };
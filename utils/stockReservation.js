@@ -0,0 +1,124 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { getOrderLines, getHeldLines } = require('./merchOrder');
+
+const DEFAULT_RESERVATION_MINUTES = 30;
+
+const getReservationMinutes = (event) =>
+    event?.stockReservationMinutes ||
+    Number(process.env.STOCK_RESERVATION_MINUTES) ||
+    DEFAULT_RESERVATION_MINUTES;
+
+// Orders approved before reservations existed took their stock at approval
+const holdsStock = (order) =>
+    !!order && (order.stockReserved === true ||
+        (order.stockReserved === undefined && order.paymentStatus === 'APPROVED'));
+
+const awaitingProof = (order) =>
+    order.paymentStatus === 'PENDING' && !order.paymentProof && (order.amountPaid || 0) > 0;
+
+const releaseLines = async (eventId, lines) => {
+    for (const line of lines) {
+        await Event.updateOne(
+            { _id: eventId },
+            { $inc: { 'items.$[item].variants.$[variant].stock': line.quantity } },
+            { arrayFilters: [
+                { 'item.sku': line.sku },
+                { 'variant.size': line.variant?.size, 'variant.color': line.variant?.color },
+            ] }
+        );
+    }
+};
+
+/**
+ * Take stock for every line, or for none of them.
+ * Each decrement only applies while the variant still has enough stock, so
+ * concurrent orders can never drive it negative.
+ * Resolves to {} or { error }.
+ */
+const reserveLines = async (eventId, lines) => {
+    const reserved = [];
+    for (const line of lines) {
+        const result = await Event.updateOne(
+            { _id: eventId },
+            { $inc: { 'items.$[item].variants.$[variant].stock': -line.quantity } },
+            { arrayFilters: [
+                { 'item.sku': line.sku },
+                {
+                    'variant.size': line.variant?.size,
+                    'variant.color': line.variant?.color,
+                    'variant.stock': { $gte: line.quantity },
+                },
+            ] }
+        );
+
+        if (result.modifiedCount !== 1) {
+            await releaseLines(eventId, reserved);
+            return { error: `Not enough stock left for ${line.name || line.sku} (${line.variant?.size}, ${line.variant?.color})` };
+        }
+        reserved.push(line);
+    }
+    return {};
+};
+
+/**
+ * Reserve stock for a registration's order and record it on the document (the caller saves).
+ * Unpaid orders without proof hold the stock only until their reservation expires.
+ * Resolves to {} or { error }.
+ */
+const reserveOrderStock = async (registration, event) => {
+    const lines = getOrderLines(registration.order);
+    if (lines.length === 0 || holdsStock(registration.order))
+        return {};
+
+    const { error } = await reserveLines(event._id, lines);
+    if (error)
+        return { error };
+
+    registration.order.stockReserved = true;
+    registration.order.reservationExpiresAt = awaitingProof(registration.order)
+        ? new Date(Date.now() + getReservationMinutes(event) * 60 * 1000)
+        : undefined;
+    return {};
+};
+
+/**
+ * Return an order's stock to the event. The registration is claimed first,
+ * so the stock is given back once even if two callers race.
+ * `conditions` narrows the claim (e.g. "still has no payment proof").
+ * Resolves to true if stock was released.
+ */
+const releaseOrderStock = async (registration, conditions = {}) => {
+    const lines = getHeldLines(registration.order);
+    if (lines.length === 0 || !holdsStock(registration.order))
+        return false;
+
+    const claimed = await Registration.updateOne(
+        {
+            _id: registration._id,
+            ...conditions,
+            $or: [
+                { 'order.stockReserved': true },
+                { 'order.stockReserved': { $exists: false }, 'order.paymentStatus': 'APPROVED' },
+            ],
+        },
+        { $set: { 'order.stockReserved': false }, $unset: { 'order.reservationExpiresAt': 1 } }
+    );
+    if (claimed.modifiedCount !== 1)
+        return false;
+
+    await releaseLines(registration.eventId, lines);
+
+    registration.order.stockReserved = false;
+    registration.order.reservationExpiresAt = undefined;
+    return true;
+};
+
+module.exports = {
+    getReservationMinutes,
+    holdsStock,
+    reserveLines,
+    releaseLines,
+    reserveOrderStock,
+    releaseOrderStock,
+};
@@ -0,0 +1,58 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const formatDate = (date) =>
+    date
+        ? new Date(date).toLocaleString('en-IN', { dateStyle: 'full', timeStyle: 'short' })
+        : 'TBA';
+
+/**
+ * Render a printable ticket (event details and the check-in QR code) as a PDF.
+ * Takes the same fields as sendTicketEmail. Resolves to a Buffer.
+ */
+const generateTicketPdf = async ({ participantName, eventTitle, eventDate, venue, ticketId, qrPayload, organizerName }) => {
+    const qrPng = await QRCode.toBuffer(qrPayload, { width: 300, margin: 1 });
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A5', margin: 36 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        // Header band
+        doc.rect(0, 0, doc.page.width, 80).fill('#6366f1');
+        doc.fillColor('white').font('Helvetica-Bold').fontSize(18)
+            .text(eventTitle, left, 24, { width, align: 'center', height: 24, ellipsis: true });
+        if (organizerName)
+            doc.font('Helvetica').fontSize(10).text(`by ${organizerName}`, left, 50, { width, align: 'center' });
+        doc.fillColor('black');
+
+        // Details
+        doc.y = 104;
+        const detail = (label, value, font = 'Helvetica') => {
+            doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text(label.toUpperCase(), left);
+            doc.font(font).fontSize(11).fillColor('black').text(value || '-', { width });
+            doc.moveDown(0.6);
+        };
+        detail('Attendee', participantName || '-');
+        detail('Date', formatDate(eventDate));
+        detail('Venue', venue || 'TBA');
+        detail('Ticket ID', ticketId, 'Courier');
+
+        // QR code
+        const qrSize = 180;
+        const qrTop = doc.y + 6;
+        doc.image(qrPng, left + (width - qrSize) / 2, qrTop, { width: qrSize, height: qrSize });
+        doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+            .text('Show this QR code at the venue for check-in', left, qrTop + qrSize + 10, { width, align: 'center' })
+            .text('This ticket is personal and is checked against your registration.', { width, align: 'center' });
+
+        doc.end();
+    });
+};
+
+module.exports = { generateTicketPdf };
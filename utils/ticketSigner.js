@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+/*
+ * Ticket QR payloads are compact Ed25519-signed tokens:
+ *
+ *     FT1.<base64url(JSON claims)>.<base64url(signature)>
+ *
+ * Claims: t = ticketId, e = eventId, p = participantId, iat = issued-at (unix seconds),
+ * k = signing key id. The signature covers "FT1.<claims>", so a scanner holding the
+ * public key (GET /tickets/public-key) can validate tickets without reaching the server.
+ */
+const TOKEN_PREFIX = 'FT1';
+
+// PKCS#8 DER header that wraps a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// End of the migration window for unsigned tickets, unless LEGACY_TICKETS_ACCEPTED_UNTIL moves it
+const DEFAULT_LEGACY_CUTOFF = '2026-12-31T23:59:59Z';
+
+let keys = null;
+
+// Load the signing key from TICKET_SIGNING_KEY (PEM), or derive a stable one from TICKET_SIGNING_SECRET.
+// Kept apart from JWT_SECRET so rotating login tokens doesn't invalidate every ticket.
+const loadKeys = () => {
+    if (keys) return keys;
+
+    let privateKey;
+    if (process.env.TICKET_SIGNING_KEY) {
+        privateKey = crypto.createPrivateKey(process.env.TICKET_SIGNING_KEY.replace(/\\n/g, '\n'));
+    } else {
+        const secret = process.env.TICKET_SIGNING_SECRET;
+        if (!secret)
+            throw new Error('TICKET_SIGNING_KEY or TICKET_SIGNING_SECRET must be defined to sign tickets');
+
+        const seed = crypto.createHash('sha256').update(`felicity-ticket:${secret}`).digest();
+        privateKey = crypto.createPrivateKey({
+            key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+            format: 'der',
+            type: 'pkcs8',
+        });
+    }
+
+    if (privateKey.asymmetricKeyType !== 'ed25519')
+        throw new Error('TICKET_SIGNING_KEY must be an Ed25519 private key');
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const keyId = crypto
+        .createHash('sha256')
+        .update(publicKey.export({ format: 'der', type: 'spki' }))
+        .digest('base64url')
+        .substring(0, 8);
+
+    keys = { privateKey, publicKey, keyId };
+    return keys;
+};
+
+const getLegacyCutoff = () => {
+    const cutoff = new Date(process.env.LEGACY_TICKETS_ACCEPTED_UNTIL || DEFAULT_LEGACY_CUTOFF);
+    return isNaN(cutoff) ? new Date(DEFAULT_LEGACY_CUTOFF) : cutoff;
+};
+
+// Unsigned JSON tickets are honoured only during the migration window
+const legacyTicketsAccepted = () => new Date() <= getLegacyCutoff();
+
+/**
+ * Sign a ticket and return the compact token to embed in its QR code.
+ */
+const signTicket = ({ ticketId, eventId, participantId }) => {
+    const { privateKey, keyId } = loadKeys();
+
+    const claims = {
+        t: ticketId,
+        e: eventId.toString(),
+        p: participantId.toString(),
+        iat: Math.floor(Date.now() / 1000),
+        k: keyId,
+    };
+
+    const signingInput = `${TOKEN_PREFIX}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url');
+
+    return `${signingInput}.${signature}`;
+};
+
+/**
+ * Verify a scanned QR payload.
+ * Returns { valid: true, signed, ticketId, eventId, participantId, issuedAt }
+ * or { valid: false, reason }.
+ */
+const verifyTicket = (qrPayload) => {
+    if (typeof qrPayload !== 'string' || !qrPayload.trim())
+        return { valid: false, reason: 'QR payload is required' };
+
+    const raw = qrPayload.trim();
+
+    if (raw.startsWith(`${TOKEN_PREFIX}.`)) {
+        const parts = raw.split('.');
+        if (parts.length !== 3)
+            return { valid: false, reason: 'Malformed ticket' };
+
+        const { publicKey } = loadKeys();
+        let signatureValid = false;
+        try {
+            signatureValid = crypto.verify(
+                null,
+                Buffer.from(`${parts[0]}.${parts[1]}`),
+                publicKey,
+                Buffer.from(parts[2], 'base64url')
+            );
+        } catch (error) {
+            signatureValid = false;
+        }
+        if (!signatureValid)
+            return { valid: false, reason: 'Invalid ticket signature' };
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'Malformed ticket' };
+        }
+
+        return {
+            valid: true,
+            signed: true,
+            ticketId: claims.t,
+            eventId: claims.e,
+            participantId: claims.p,
+            issuedAt: claims.iat ? new Date(claims.iat * 1000) : null,
+        };
+    }
+
+    // Legacy unsigned JSON payload (individual tickets carry registrationId, team tickets ticketId)
+    let payload;
+    try {
+        payload = JSON.parse(raw);
+    } catch (error) {
+        return { valid: false, reason: 'Invalid QR payload format' };
+    }
+
+    if (!legacyTicketsAccepted())
+        return { valid: false, reason: 'Unsigned tickets are no longer accepted. Please use your re-issued ticket.' };
+
+    return {
+        valid: true,
+        signed: false,
+        ticketId: payload.registrationId || payload.ticketId,
+        eventId: payload.eventId ? payload.eventId.toString() : null,
+        participantId: payload.participantId ? payload.participantId.toString() : null,
+        issuedAt: payload.timestamp ? new Date(payload.timestamp) : null,
+    };
+};
+
+/**
+ * Public verification key, in the forms scanner apps commonly need.
+ */
+const getPublicKeyInfo = () => {
+    const { publicKey, keyId } = loadKeys();
+    return {
+        format: TOKEN_PREFIX,
+        algorithm: 'Ed25519',
+        keyId,
+        publicKeyPem: publicKey.export({ format: 'pem', type: 'spki' }),
+        publicKeyJwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'EdDSA', use: 'sig' },
+        legacyTicketsAcceptedUntil: getLegacyCutoff().toISOString(),
+    };
+};
+
+module.exports = { signTicket, verifyTicket, getPublicKeyInfo };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const forge = require('node-forge');
+
+/*
+ * Wallet passes use Apple's .pkpass format: a zip of pass.json, its images, a manifest
+ * of their SHA-1 hashes and a detached PKCS#7 signature of the manifest. Wallet apps only
+ * accept signed passes, so set PASS_SIGNER_CERT, PASS_SIGNER_KEY (PEM, optionally with
+ * PASS_SIGNER_KEY_PASSPHRASE), PASS_WWDR_CERT, PASS_TYPE_IDENTIFIER and PASS_TEAM_IDENTIFIER
+ * from an Apple pass type certificate. Without them the pass is built unsigned, which
+ * some Android wallet apps still import.
+ */
+const ASSETS_DIR = path.join(__dirname, '../assets/wallet');
+const PASS_IMAGES = ['icon.png', 'icon@2x.png', 'icon@3x.png'];
+
+const readPem = (name) => process.env[name] ? process.env[name].replace(/\\n/g, '\n') : null;
+
+let signer;
+
+// Signing material from the environment, or null when passes are built unsigned
+const loadSigner = () => {
+    if (signer !== undefined) return signer;
+
+    const certPem = readPem('PASS_SIGNER_CERT');
+    const keyPem = readPem('PASS_SIGNER_KEY');
+    const wwdrPem = readPem('PASS_WWDR_CERT');
+    if (!certPem || !keyPem || !wwdrPem) {
+        signer = null;
+        return signer;
+    }
+
+    const key = process.env.PASS_SIGNER_KEY_PASSPHRASE
+        ? forge.pki.decryptRsaPrivateKey(keyPem, process.env.PASS_SIGNER_KEY_PASSPHRASE)
+        : forge.pki.privateKeyFromPem(keyPem);
+    if (!key)
+        throw new Error('PASS_SIGNER_KEY could not be decrypted');
+
+    signer = {
+        certificate: forge.pki.certificateFromPem(certPem),
+        wwdr: forge.pki.certificateFromPem(wwdrPem),
+        key,
+    };
+    return signer;
+};
+
+// Detached PKCS#7 signature over manifest.json
+const signManifest = (manifest, { certificate, wwdr, key }) => {
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(manifest.toString('binary'));
+    p7.addCertificate(certificate);
+    p7.addCertificate(wwdr);
+    p7.addSigner({
+        key,
+        certificate,
+        digestAlgorithm: forge.pki.oids.sha256,
+        authenticatedAttributes: [
+            { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+            { type: forge.pki.oids.messageDigest },
+            { type: forge.pki.oids.signingTime, value: new Date() },
+        ],
+    });
+    p7.sign({ detached: true });
+    return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+};
+
+/**
+ * Build a .pkpass event ticket. Takes the same fields as sendTicketEmail. Returns a Buffer.
+ */
+const generateWalletPass = ({ participantName, eventTitle, eventDate, venue, ticketId, qrPayload, organizerName }) => {
+    const pass = {
+        formatVersion: 1,
+        passTypeIdentifier: process.env.PASS_TYPE_IDENTIFIER || 'pass.com.felicity.ticket',
+        teamIdentifier: process.env.PASS_TEAM_IDENTIFIER || 'FELICITY',
+        serialNumber: ticketId,
+        organizationName: organizerName || 'Felicity',
+        description: `Ticket for ${eventTitle}`,
+        logoText: 'Felicity',
+        foregroundColor: 'rgb(255, 255, 255)',
+        labelColor: 'rgb(224, 231, 255)',
+        backgroundColor: 'rgb(99, 102, 241)',
+        ...(eventDate && { relevantDate: new Date(eventDate).toISOString() }),
+        barcodes: [{ format: 'PKBarcodeFormatQR', message: qrPayload, messageEncoding: 'iso-8859-1' }],
+        eventTicket: {
+            primaryFields: [{ key: 'event', label: 'EVENT', value: eventTitle }],
+            secondaryFields: [
+                eventDate
+                    ? { key: 'date', label: 'DATE', value: new Date(eventDate).toISOString(), dateStyle: 'PKDateStyleMedium', timeStyle: 'PKDateStyleShort' }
+                    : { key: 'date', label: 'DATE', value: 'TBA' },
+            ],
+            auxiliaryFields: [
+                { key: 'venue', label: 'VENUE', value: venue || 'TBA' },
+                { key: 'attendee', label: 'ATTENDEE', value: participantName || '-' },
+            ],
+            backFields: [
+                { key: 'ticketId', label: 'Ticket ID', value: ticketId },
+                { key: 'checkin', label: 'Check-in', value: 'Show the QR code on the front of this pass at the venue.' },
+            ],
+        },
+    };
+
+    const files = { 'pass.json': Buffer.from(JSON.stringify(pass)) };
+    for (const image of PASS_IMAGES)
+        files[image] = fs.readFileSync(path.join(ASSETS_DIR, image));
+
+    const manifest = Buffer.from(JSON.stringify(Object.fromEntries(
+        Object.entries(files).map(([name, content]) => [name, crypto.createHash('sha1').update(content).digest('hex')])
+    )));
+
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files))
+        zip.addFile(name, content);
+    zip.addFile('manifest.json', manifest);
+
+    const passSigner = loadSigner();
+    if (passSigner)
+        zip.addFile('signature', signManifest(manifest, passSigner));
+
+    return zip.toBuffer();
+};
+
+module.exports = { generateWalletPass };